@@ -1,23 +1,43 @@
 // Import required dependencies
-const axios = require('axios');
 const fs = require('fs');
-
-// Get organization name from environment variable
-const org = process.env.ORG_NAME;
-const thresholdDays = parseInt(process.env.THRESHOLD_DAYS || '60', 10); // Default to 60 if not set
+const path = require('path');
+const {
+  request,
+  paginate,
+  mapWithConcurrency,
+  useResponseCache,
+  getResponseCache,
+  logRequestSummary
+} = require('./lib/github-client');
+const { loadPricing, resolvePlanPricing, estimateSavings, describeSavings } = require('./lib/savings');
+const { loadExemptions, findExemption, getExpiredExemptions, formatExemptionReason } = require('./lib/exemptions');
+const { loadCopilotTeamsConfig, getUserCopilotTeams, getReportOnlyTeams } = require('./lib/copilot-teams');
+const { buildTeamBreakdown } = require('./lib/breakdown');
+const { getSeatStatus, getDaysInactive, sortByInactivity } = require('./lib/inactivity');
+const { formatInactiveUsersCsv, formatTeamBreakdownCsv } = require('./lib/reports');
+const {
+  loadActivityPolicy,
+  getLatestActivity,
+  getSeatAgeReason,
+  getOrganizationId,
+  getRecentContributions
+} = require('./lib/activity-policy');
+const { loadWarningState, isDueForRemoval } = require('./lib/warning-state');
+const { buildManifestEntry, writeRemovalManifest, openApprovalPullRequest } = require('./lib/approval');
+const { DEFAULT_REPORT_DIR, formatRunTimestamp } = require('./lib/run-ledger');
+const { loadStateCache, saveStateCache, buildSeatSnapshot, diffSeatSnapshots, countChanges } = require('./lib/state-cache');
+const { DEFAULT_WORK_DIR, parseReferenceDate, resolveApprovalMode, resolveOrg } = require('./lib/options');
 
 /**
  * Fetches Copilot billing information for the organization
+ * @param {string} org - Organization name
  * @returns {Promise<Object>} Billing information including seat breakdown
  */
-const getCopilotBilling = async () => {
+const getCopilotBilling = async (org) => {
   console.log('Fetching Copilot billing information...');
   try {
-    const response = await axios.get(`https://api.github.com/orgs/${org}/copilot/billing`, {
-      headers: {
-        Authorization: `token ${process.env.GITHUB_TOKEN}`,
-        Accept: 'application/vnd.github.copilot-billing-preview+json',
-      },
+    const response = await request('get', `/orgs/${org}/copilot/billing`, {
+      accept: 'application/vnd.github.copilot-billing-preview+json',
     });
     console.log('Successfully fetched Copilot billing information.');
     return response.data;
@@ -28,71 +48,37 @@ const getCopilotBilling = async () => {
 };
 
 /**
- * Retrieves all members of the organization
- * @returns {Promise<Array>} List of organization members
+ * Retrieves every Copilot seat billed to the organization, including seats held by
+ * outside collaborators, pending invitees and seats assigned through teams
+ * @param {string} org - Organization name
+ * @returns {Promise<Array>} List of Copilot seat assignments
  */
-const getOrgMembers = async () => {
-  console.log('Fetching organization members...');
+const getCopilotSeats = async (org) => {
+  console.log('Fetching Copilot seat assignments...');
   try {
-    const response = await axios.get(`https://api.github.com/orgs/${org}/members`, {
-      headers: {
-        Authorization: `token ${process.env.GITHUB_TOKEN}`,
-        Accept: 'application/vnd.github.v3+json',
-      },
-      params: {
-        per_page: 100
-      }
-    });
-    console.log('Successfully fetched organization members.');
-    return response.data;
+    const seats = await paginate(`/orgs/${org}/copilot/billing/seats`, { itemsKey: 'seats' });
+    console.log(`Successfully fetched ${seats.length} Copilot seats.`);
+    return seats;
   } catch (error) {
-    console.error('Error fetching organization members:', error.message);
+    console.error('Error fetching Copilot seat assignments:', error.message);
     throw error;
   }
 };
 
-/**
- * Checks Copilot access status for a specific member
- * @param {string} memberLogin - GitHub login of the member
- * @returns {Promise<Object|null>} Copilot access information or null if no access
- */
-const getCopilotAccessForMember = async (memberLogin) => {
-  try {
-    const response = await axios.get(`https://api.github.com/orgs/${org}/members/${memberLogin}/copilot`, {
-      headers: {
-        Authorization: `token ${process.env.GITHUB_TOKEN}`,
-        Accept: 'application/vnd.github.copilot-preview+json',
-      },
-    });
-    return response.data;
-  } catch (error) {
-    if (error.response && error.response.status === 404) {
-      return null;
-    }
-    console.error(`Error checking Copilot access for ${memberLogin}:`, error.message);
-    return null;
-  }
-};
-
 /**
  * Retrieves all teams in the organization
+ * @param {string} org - Organization name
  * @returns {Promise<Array>} List of teams
  */
-const getTeams = async () => {
+const getTeams = async (org) => {
+  console.log('Fetching organization teams...');
   try {
-    const response = await axios.get(`https://api.github.com/orgs/${org}/teams`, {
-      headers: {
-        Authorization: `token ${process.env.GITHUB_TOKEN}`,
-        Accept: 'application/vnd.github.v3+json',
-      },
-      params: {
-        per_page: 100
-      }
-    });
-    return response.data;
+    const teams = await paginate(`/orgs/${org}/teams`);
+    console.log(`Successfully fetched ${teams.length} teams.`);
+    return teams;
   } catch (error) {
-    console.warn('Warning: Could not fetch teams:', error.message);
-    return [];
+    console.error('Error fetching teams:', error.message);
+    throw error;
   }
 };
 
@@ -103,124 +89,252 @@ const getTeams = async () => {
  */
 const getTeamMembers = async (teamId) => {
   try {
-    const response = await axios.get(`https://api.github.com/teams/${teamId}/members`, {
-      headers: {
-        Authorization: `token ${process.env.GITHUB_TOKEN}`,
-        Accept: 'application/vnd.github.v3+json',
-      },
-      params: {
-        per_page: 100
-      }
-    });
-    return response.data;
+    return await paginate(`/teams/${teamId}/members`);
   } catch (error) {
-    console.warn(`Warning: Could not fetch members for team ${teamId}:`, error.message);
-    return [];
+    console.error(`Error fetching members for team ${teamId}:`, error.message);
+    throw error;
   }
 };
 
-// Main execution function
-(async () => {
+/**
+ * Flags inactive users who recently contributed to the organization, so they are warned instead of removed
+ * @param {string} org - Organization name
+ * @param {Array<Object>} users - Removal candidates
+ * @param {Object} policy - Activity policy
+ * @param {Date} today - Reference date
+ */
+const flagEngagedUsers = async (org, users, policy, today) => {
+  const lookbackDays = policy.contributions.lookback_days;
+  const since = new Date(today);
+  since.setDate(today.getDate() - lookbackDays);
+  console.log(`Checking org contributions of ${users.length} inactive users since ${since.toISOString()}...`);
+
+  const orgId = await getOrganizationId(org);
+  await mapWithConcurrency(users, async user => {
+    try {
+      const contributions = await getRecentContributions(user.login, orgId, since);
+      if (contributions) {
+        user.engaged_reason = `Contributed to ${org} in the last ${lookbackDays} days (${contributions}), warned instead of removed`;
+        console.log(`User ${user.login} is still engaged: ${contributions}`);
+      }
+    } catch (error) {
+      console.warn(`Warning: Could not fetch contributions of ${user.login}:`, error.message);
+    }
+  });
+};
+
+/**
+ * Checks Copilot usage of every seat and writes the list of inactive users
+ * @param {Object} [options] - Settings; each defaults to its environment variable
+ * @param {string} [options.org] - Organization name (ORG_NAME)
+ * @param {number} [options.threshold] - Days of inactivity before removal (THRESHOLD_DAYS, default 60)
+ * @param {number} [options.warningThreshold] - Days of inactivity before a warning (WARNING_THRESHOLD_DAYS, default 45)
+ * @param {string} [options.currentUser] - Login that is never listed (CURRENT_USER)
+ * @param {string} [options.date] - Reference date as "YYYY-MM-DD HH:MM:SS" UTC (CURRENT_DATE)
+ * @param {string} [options.outputDir] - Directory for the inactive users list (default .github/scripts)
+ * @param {string} [options.reportDir] - Directory for the timestamped CSV reports uploaded with the run (default clean-logs)
+ * @param {string} [options.format] - Format of the printed listing: 'csv' (default) or 'json'
+ * @param {boolean} [options.approval] - Open a pull request with the seats due for removal (APPROVAL_MODE)
+ * @param {number} [options.graceDays] - Days between a warning and the removal (WARNING_GRACE_DAYS, default 14)
+ * @param {string} [options.warningStateFile] - Warning state deciding who is due (WARNING_STATE_FILE, default clean-logs/warning-state.json)
+ * @param {string} [options.stateCacheFile] - Seat snapshot and cached API responses of the previous check
+ *   (STATE_CACHE_FILE, default state-cache.json in the output directory)
+ * @returns {Promise<Array>} Inactive users
+ */
+const run = async (options = {}) => {
   try {
     console.log('Starting to check Copilot usage...');
+
+    // Resolve settings, falling back to environment variables
+    const org = resolveOrg(options.org);
+    const thresholdDays = options.threshold || parseInt(process.env.THRESHOLD_DAYS || '60', 10); // Default to 60 if not set
+    const warningThresholdDays = Math.min(
+      options.warningThreshold || parseInt(process.env.WARNING_THRESHOLD_DAYS || '45', 10), // Default to 45 if not set
+      thresholdDays
+    );
+    const currentUser = options.currentUser || process.env.CURRENT_USER;
+    const outputDir = options.outputDir || DEFAULT_WORK_DIR;
+    const reportDir = options.reportDir || DEFAULT_REPORT_DIR;
+    const stateCacheFile = options.stateCacheFile || process.env.STATE_CACHE_FILE || path.join(outputDir, 'state-cache.json');
+    const format = options.format || 'csv';
+    const approvalMode = resolveApprovalMode(options.approval);
+    const graceDays = options.graceDays || parseInt(process.env.WARNING_GRACE_DAYS || '14', 10); // Default to 14 if not set
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Unknown listing format: ${format}. Use csv or json.`);
+    }
     
     // Set reference date for checking inactivity based on threshold
-    const today = process.env.CURRENT_DATE ? 
-      new Date(process.env.CURRENT_DATE.replace(' ', 'T') + 'Z') : 
-      new Date();
+    const today = parseReferenceDate(options.date);
     const thresholdDate = new Date(today);
     thresholdDate.setDate(today.getDate() - thresholdDays);
     console.log('Current date:', today.toISOString());
     console.log(`Threshold date (${thresholdDays} days ago):`, thresholdDate.toISOString());
+    const warningThresholdDate = new Date(today);
+    warningThresholdDate.setDate(today.getDate() - warningThresholdDays);
+    console.log(`Warning threshold date (${warningThresholdDays} days ago):`, warningThresholdDate.toISOString());
+
+    // Revalidate the responses of the previous check, so unchanged seats, teams and members cost no rate limit
+    const stateCache = loadStateCache(stateCacheFile, org);
+    useResponseCache(stateCache.responses);
 
     // Fetch all required data in parallel
-    const [copilotBilling, members, teams] = await Promise.all([
-      getCopilotBilling(),
-      getOrgMembers(),
-      getTeams()
+    const [copilotBilling, seats, teams] = await Promise.all([
+      getCopilotBilling(org),
+      getCopilotSeats(org),
+      getTeams(org)
     ]);
 
     // Initialize arrays and variables for tracking results
     const inactiveUsers = [];
-    const currentUser = 'kalin-chih';
+    const seatStatuses = [];
     const teamsMap = new Map();
 
+    // Load exemptions and flag the ones that have expired
+    const exemptions = loadExemptions();
+    getExpiredExemptions(exemptions, today).forEach(entry => {
+      console.warn(`Warning: ${entry.type} exemption for ${entry.name} (${entry.reason}) expired on ${entry.expires.toISOString().slice(0, 10)}`);
+    });
+
+    // Load which teams grant Copilot seats and which signals count as activity
+    const copilotTeamsConfig = loadCopilotTeamsConfig();
+    const activityPolicy = loadActivityPolicy();
+
     // Log billing information
     console.log(`Total Copilot seats: ${copilotBilling.seat_breakdown.total}`);
     console.log(`Active seats this cycle: ${copilotBilling.seat_breakdown.active_this_cycle}`);
     console.log(`Inactive seats this cycle: ${copilotBilling.seat_breakdown.inactive_this_cycle}`);
 
+    // Determine the seat price for savings estimates
+    const planPricing = resolvePlanPricing(loadPricing(), copilotBilling);
+    console.log(`Copilot plan: ${planPricing.plan} (${planPricing.seat_price} ${planPricing.currency} per seat per month)`);
+
     // Pre-load all team members for efficient lookup
-    for (const team of teams) {
-      const teamMembers = await getTeamMembers(team.id);
+    const teamMembersList = await mapWithConcurrency(teams, team => getTeamMembers(team.id));
+    teams.forEach((team, index) => {
       teamsMap.set(team.id, {
         name: team.name,
-        members: teamMembers.map(m => m.login)
+        slug: team.slug,
+        members: teamMembersList[index].map(m => m.login)
       });
-    }
+    });
 
-    // Process each organization member
-    for (const member of members) {
-      // Skip current user for safety
-      if (member.login === currentUser) {
-        console.log(`Skipping current user: ${currentUser}`);
+    // Process each Copilot seat
+    for (const seat of seats) {
+      const login = seat.assignee && seat.assignee.login;
+      if (!login) {
+        console.log(`Skipping seat without a user assignee (type: ${seat.assignee ? seat.assignee.type : 'unknown'})`);
         continue;
       }
 
-      // Check member's Copilot access status
-      const copilotAccess = await getCopilotAccessForMember(member.login);
-      if (!copilotAccess) {
-        console.log(`No Copilot access for user: ${member.login}`);
+      const lastActivityDate = seat.last_activity_at ? new Date(seat.last_activity_at) : null;
+      const latestActivity = getLatestActivity(seat, activityPolicy);
+      const status = getSeatStatus(latestActivity.date, thresholdDate, warningThresholdDate);
+
+      // Get user's team memberships
+      const userTeams = Array.from(teamsMap.values())
+        .filter(team => team.members.includes(login));
+      const teamSlugs = userTeams.map(team => team.slug);
+
+      // Find every team granting the user a seat; they have to leave all of them to lose it
+      const copilotTeams = getUserCopilotTeams(copilotTeamsConfig, userTeams, seat.assigning_team || null);
+      seatStatuses.push({ login, status, editor: seat.last_activity_editor || null, copilot_teams: copilotTeams });
+
+      // Skip current user for safety
+      if (login === currentUser) {
+        console.log(`Skipping current user: ${currentUser}`);
         continue;
       }
 
-      console.log(`Processing user ${member.login}...`);
-      const lastActivityDate = copilotAccess.last_activity_at ? new Date(copilotAccess.last_activity_at) : null;
-      const status = lastActivityDate === null ? 'No activity' : 
-                    (lastActivityDate < thresholdDate ? 'Inactive' : 'Active');
+      console.log(`Processing user ${login}...`);
+
+      // If user is inactive or due for a warning, collect their information
+      if (status !== 'Active') {
+        if (copilotTeams.length > 0) {
+          console.log(`User ${login} has Copilot access through ${copilotTeams.map(team => `${team.name} (${team.action})`).join(', ')}`);
+        }
 
-      // If user is inactive, collect their information
-      if (status === 'No activity' || status === 'Inactive') {
-        // Get user's team memberships
-        const userTeams = Array.from(teamsMap.values())
-          .filter(team => team.members.includes(member.login))
-          .map(team => team.name)
-          .join(', ');
+        // Flag exempted users so the removal step skips them with their reason
+        const exemption = findExemption(exemptions, login, teamSlugs, today);
+        if (exemption) {
+          console.log(`User ${login} is exempted: ${exemption.reason}`);
+        }
+
+        // Flag seats too young to be removed so the removal step skips them with their reason
+        const seatAgeReason = getSeatAgeReason(seat, activityPolicy, today);
+        if (seatAgeReason) {
+          console.log(`User ${login} is not eligible for removal: ${seatAgeReason}`);
+        }
 
         // Add user to inactive list with relevant information
         inactiveUsers.push({
-          login: member.login,
+          login,
           status,
-          team: userTeams || 'No teams',
+          team: userTeams.map(team => team.name).join(', ') || 'No teams',
+          team_slugs: teamSlugs,
+          exempt_reason: exemption ? formatExemptionReason(exemption) : null,
+          activity_reason: latestActivity.reason,
+          ineligible_reason: seatAgeReason,
+          engaged_reason: null,
           last_used: lastActivityDate ? lastActivityDate.toISOString() : 'Never',
-          days_inactive: lastActivityDate ? 
-            Math.floor((today - lastActivityDate) / (1000 * 60 * 60 * 24)) : 
-            'Never used'
+          days_inactive: getDaysInactive(latestActivity.date, today),
+          assignee_type: seat.assignee.type,
+          assigning_team: seat.assigning_team ? seat.assigning_team.name : null,
+          copilot_teams: copilotTeams,
+          last_activity_at: seat.last_activity_at,
+          last_activity_editor: seat.last_activity_editor,
+          created_at: seat.created_at,
+          pending_cancellation_date: seat.pending_cancellation_date
         });
       }
     }
 
+    // Users still contributing to the organization are warned instead of removed
+    const removalCandidates = inactiveUsers.filter(user =>
+      user.status !== 'Warning' &&
+      !user.exempt_reason &&
+      !user.ineligible_reason &&
+      getReportOnlyTeams(user).length === 0);
+    if (activityPolicy.contributions.enabled && removalCandidates.length > 0) {
+      await flagEngagedUsers(org, removalCandidates, activityPolicy, today);
+    }
+
+    // Break seat usage down per team so managers can see which groups need enablement
+    const teamBreakdown = buildTeamBreakdown(seatStatuses, Array.from(teamsMap.values()));
+
+    // Count seats per Copilot team for the per-team inactivity rates of the trends report
+    const copilotTeamSeats = {};
+    seatStatuses.forEach(seat => seat.copilot_teams.forEach(team => {
+      copilotTeamSeats[team.name] = (copilotTeamSeats[team.name] || 0) + 1;
+    }));
+    const breakdownRows = [...teamBreakdown.teams, teamBreakdown.total];
+    console.log('\nTeam Breakdown:');
+    console.log('===============');
+    console.log(formatTeamBreakdownCsv(breakdownRows).trimEnd());
+
     // Generate report of inactive users
     console.log('\nInactive Copilot Users Report:');
     console.log('===============================');
 
+    sortByInactivity(inactiveUsers);
+    const pastThreshold = inactiveUsers.filter(user => user.status !== 'Warning');
     if (inactiveUsers.length > 0) {
-      console.log(`Found ${inactiveUsers.length} inactive users (Billing shows ${copilotBilling.seat_breakdown.inactive_this_cycle} inactive)\n`);
+      console.log(`Found ${pastThreshold.length} inactive users (Billing shows ${copilotBilling.seat_breakdown.inactive_this_cycle} inactive)`);
+      console.log(`Found ${inactiveUsers.length - pastThreshold.length} users inactive for ${warningThresholdDays}-${thresholdDays - 1} days to warn\n`);
       
-      // Print CSV format headers and data
-      console.log('User Login,Status,Days Inactive,Teams,Last Usage Date');
-      inactiveUsers
-        .sort((a, b) => (b.days_inactive === 'Never used' ? -1 : 
-                         a.days_inactive === 'Never used' ? 1 : 
-                         b.days_inactive - a.days_inactive))
-        .forEach(user => {
-          const teamField = `"${user.team}"`;
-          console.log(`${user.login},${user.status},${user.days_inactive},${teamField},${user.last_used}`);
-        });
+      // Print inactive users in the requested format
+      if (format === 'json') {
+        console.log(JSON.stringify(inactiveUsers, null, 2));
+      } else {
+        console.log(formatInactiveUsersCsv(inactiveUsers).trimEnd());
+      }
+
+      // Estimate what removing the inactive seats would save
+      const removableSeats = removalCandidates.filter(user => !user.engaged_reason).length;
+      console.log(`\nEstimated savings if inactive seats are removed: ${describeSavings(estimateSavings(removableSeats, planPricing))}`);
 
       // Note any discrepancy in inactive user counts
-      if (inactiveUsers.length < copilotBilling.seat_breakdown.inactive_this_cycle) {
-        console.log(`\nNote: ${copilotBilling.seat_breakdown.inactive_this_cycle - inactiveUsers.length} inactive users not found.`);
+      if (pastThreshold.length < copilotBilling.seat_breakdown.inactive_this_cycle) {
+        console.log(`\nNote: ${copilotBilling.seat_breakdown.inactive_this_cycle - pastThreshold.length} inactive users not found.`);
         console.log('This might be due to API limitations or recent changes in user status.');
       }
     } else {
@@ -230,35 +344,97 @@ const getTeamMembers = async (teamId) => {
       }
     }
 
-    // Generate CSV report file
-    const csvContent = [
-      'User Login,Status,Days Inactive,Teams,Last Usage Date',
-      ...inactiveUsers
-        .sort((a, b) => (b.days_inactive === 'Never used' ? -1 : 
-                         a.days_inactive === 'Never used' ? 1 : 
-                         b.days_inactive - a.days_inactive))
-        .map(user => `${user.login},${user.status},${user.days_inactive},"${user.team}",${user.last_used}`)
-    ].join('\n');
+    // Compare seats with the previous check to report who gained or lost a seat, changed Copilot teams or went inactive
+    const seatSnapshot = buildSeatSnapshot(seatStatuses);
+    const changes = diffSeatSnapshots(stateCache.seats, seatSnapshot);
+    if (changes) {
+      const counts = Object.entries(countChanges(changes)).map(([change, count]) => `${change}: ${count}`);
+      console.log(`\nChanges since the previous check on ${stateCache.updated_at}: ${counts.join(', ') || 'none'}`);
+    }
 
     // Save results to files
-    fs.writeFileSync('.github/scripts/inactive_users.csv', csvContent);
-    console.log('\nCSV file has been generated at .github/scripts/inactive_users.csv');
-    
-    fs.writeFileSync('.github/scripts/inactive_users.txt', JSON.stringify(inactiveUsers, null, 2));
+    fs.mkdirSync(outputDir, { recursive: true });
+    const csvPath = path.join(outputDir, 'inactive_users.csv');
+    fs.writeFileSync(csvPath, formatInactiveUsersCsv(inactiveUsers));
+    console.log(`\nCSV file has been generated at ${csvPath}`);
     
+    fs.writeFileSync(path.join(outputDir, 'inactive_users.txt'), JSON.stringify(inactiveUsers, null, 2));
+
+    const breakdownCsvPath = path.join(outputDir, 'team_breakdown.csv');
+    fs.writeFileSync(breakdownCsvPath, formatTeamBreakdownCsv(breakdownRows));
+    console.log(`Team breakdown has been generated at ${breakdownCsvPath}`);
+
+    // Keep a timestamped copy of both CSV files next to the run reports, which the workflow uploads
+    const timestamp = formatRunTimestamp(today);
+    fs.mkdirSync(reportDir, { recursive: true });
+    fs.writeFileSync(path.join(reportDir, `${timestamp}_inactive_users.csv`), formatInactiveUsersCsv(inactiveUsers));
+    fs.writeFileSync(path.join(reportDir, `${timestamp}_team_breakdown.csv`), formatTeamBreakdownCsv(breakdownRows));
+    console.log(`CSV reports have been copied to ${reportDir}`);
+
+    // Save check settings, the billing snapshot and seat statuses for the removal run ledger and multi-org report
+    fs.writeFileSync(path.join(outputDir, 'check_summary.json'), JSON.stringify({
+      org,
+      date: today.toISOString(),
+      threshold_days: thresholdDays,
+      warning_threshold_days: warningThresholdDays,
+      seat_breakdown: copilotBilling.seat_breakdown,
+      copilot_team_seats: copilotTeamSeats,
+      team_breakdown: teamBreakdown,
+      seat_statuses: Object.fromEntries(seatStatuses.map(seat => [seat.login, seat.status])),
+      plan_pricing: planPricing,
+      previous_check_at: stateCache.updated_at,
+      changes
+    }, null, 2));
+
+    saveStateCache(stateCacheFile, { org, date: today, seats: seatSnapshot, responses: getResponseCache() });
+    useResponseCache(null);
+
+    // In approval mode, list the seats due for removal in a manifest and ask for approval through a pull request
+    if (approvalMode) {
+      const warningState = loadWarningState(options.warningStateFile);
+      const dueUsers = removalCandidates.filter(user =>
+        !user.engaged_reason && isDueForRemoval(warningState.users[user.login], user, graceDays, today));
+      const manifest = {
+        org,
+        generated_at: today.toISOString(),
+        threshold_days: thresholdDays,
+        users: dueUsers.map(buildManifestEntry),
+      };
+      // Kept in the work directory; only merging the pull request adds it to clean-logs
+      const manifestPath = path.join(outputDir, 'pending-removal.yml');
+      const manifestContent = writeRemovalManifest(manifest, manifestPath);
+      console.log(`\nRemoval manifest with ${dueUsers.length} users due for removal has been generated at ${manifestPath}`);
+      if (dueUsers.length > 0) {
+        await openApprovalPullRequest(manifest, manifestContent);
+      }
+    }
+
     // Set GitHub Actions output if running in Actions environment
     const outputPath = process.env.GITHUB_OUTPUT;
     if (outputPath) {
       fs.appendFileSync(outputPath, `inactive_users=${inactiveUsers.map(user => user.login).join(',')}\n`);
     }
     
+    logRequestSummary();
     console.log('\nFinished checking Copilot usage.');
+    return inactiveUsers;
   } catch (error) {
     // Error handling with detailed logging
     console.error('Error during the check process:', error.message);
     if (error.response) {
       console.error('API Response:', JSON.stringify(error.response.data, null, 2));
     }
-    process.exit(1);
+    useResponseCache(null);
+    logRequestSummary();
+    throw error;
   }
-})();
+};
+
+module.exports = {
+  run,
+};
+
+// Run directly when executed as a script
+if (require.main === module) {
+  run().catch(() => process.exit(1));
+}
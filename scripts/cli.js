@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Import required dependencies
+const { parseArgs } = require('util');
+const checkCopilotUsage = require('./check-copilot-usage');
+const removeInactiveUsers = require('./remove-inactive-users');
+const restoreUsers = require('./restore-users');
+const reassignSeats = require('./reassign-seats');
+const reconcileSeats = require('./reconcile-seats');
+const renderReport = require('./render-report');
+const renderTrends = require('./render-trends');
+const runMultiOrg = require('./run-multi-org');
+
+const USAGE = `Usage: copilot-seats-cleaner <command> [options]
+
+Commands:
+  check       Find inactive Copilot seats and write the inactive users list
+  remove      Warn inactive users and remove seats past the grace period
+  restore     Re-grant seats removed by a previous run
+  reassign    Grant the seats freed by the latest run to users waiting for one
+  reconcile   Compare seat changes in the audit log since the previous run with the ledgers and billing
+  report      Render a run ledger as Markdown, CSV or JSON
+  trends      Aggregate all past runs into a Markdown and CSV trend report
+  multi-org   Run the whole pipeline for several organizations with one consolidated report
+
+Options:
+  --org <name>          Organization name (default: ORG_NAME)
+  --orgs <names>        multi-org: comma-separated organizations (default: ORG_NAMES)
+  --enterprise <slug>   multi-org: process every organization of the enterprise (default: ENTERPRISE_SLUG)
+  --threshold <days>    check, multi-org: days of inactivity before removal (default: THRESHOLD_DAYS or 60)
+  --dry-run             remove, restore, reassign, multi-org: only log what would change (default unless DRY_RUN=false)
+  --apply               remove, restore, reassign, multi-org: make the changes
+  --input <path>        remove: inactive users file (default: .github/scripts/inactive_users.txt)
+                        restore, report, reassign, reconcile: run ledger (default: latest run in clean-logs)
+                        trends: directory of past runs (default: clean-logs)
+  --output-dir <path>   check: directory for the inactive users list (default: .github/scripts)
+                        remove, restore, reassign, reconcile: directory for reports and ledgers (default: clean-logs)
+                        report: directory to write the report to (default: print to stdout)
+                        trends: directory for trends.md and trends.csv (default: the --input directory)
+                        multi-org: directory for the consolidated report, with reports per
+                        organization in subdirectories (default: clean-logs)
+  --report-dir <path>   check: directory for the timestamped CSV reports (default: clean-logs)
+  --format <format>     check: csv or json listing (default: csv)
+                        report: markdown, html, csv or json (default: markdown)
+  --users <logins>      restore: comma-separated logins to restore (default: all)
+  --approval            check: open a pull request with the seats due for removal
+                        remove: only warn, seats wait for approval (default: APPROVAL_MODE=true)
+  --manifest <path>     remove: remove exactly the users of an approved manifest (default: REMOVAL_MANIFEST)
+  -h, --help            Show this help
+
+Each command only accepts the options listed for it. Environment variables such as ORG_NAME,
+THRESHOLD_DAYS, DRY_RUN, APPROVAL_MODE, CURRENT_USER and CURRENT_DATE are used as defaults
+for options that are not given.
+`;
+
+// Supported options; each command accepts the subset listed in COMMANDS
+const OPTIONS = {
+  org: { type: 'string' },
+  orgs: { type: 'string' },
+  enterprise: { type: 'string' },
+  threshold: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  apply: { type: 'boolean' },
+  input: { type: 'string' },
+  'output-dir': { type: 'string' },
+  'report-dir': { type: 'string' },
+  format: { type: 'string' },
+  users: { type: 'string' },
+  approval: { type: 'boolean' },
+  manifest: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Command implementations by name, with the options each of them accepts besides --help
+const COMMANDS = {
+  check: {
+    run: checkCopilotUsage.run,
+    options: ['org', 'threshold', 'output-dir', 'report-dir', 'format', 'approval'],
+  },
+  remove: {
+    run: removeInactiveUsers.run,
+    options: ['org', 'dry-run', 'apply', 'input', 'output-dir', 'approval', 'manifest'],
+  },
+  restore: {
+    run: restoreUsers.run,
+    options: ['org', 'dry-run', 'apply', 'input', 'output-dir', 'users'],
+  },
+  reassign: {
+    run: reassignSeats.run,
+    options: ['org', 'dry-run', 'apply', 'input', 'output-dir'],
+  },
+  reconcile: {
+    run: reconcileSeats.run,
+    options: ['org', 'input', 'output-dir'],
+  },
+  report: {
+    run: renderReport.run,
+    options: ['input', 'output-dir', 'format'],
+  },
+  trends: {
+    run: renderTrends.run,
+    options: ['input', 'output-dir'],
+  },
+  'multi-org': {
+    run: runMultiOrg.run,
+    options: ['orgs', 'enterprise', 'threshold', 'dry-run', 'apply', 'output-dir'],
+  },
+};
+
+/**
+ * Rejects options a command does not use, so a misplaced flag does not silently fall back to a default
+ * @param {string} command - Command name
+ * @param {Object} values - Values from parseArgs
+ */
+const checkCommandOptions = (command, values) => {
+  const unsupported = Object.keys(values)
+    .filter(name => name !== 'help' && !COMMANDS[command].options.includes(name))
+    .map(name => `--${name}`);
+  if (unsupported.length > 0) {
+    throw new Error(`${command} does not accept ${unsupported.join(', ')}.`);
+  }
+};
+
+/**
+ * Converts parsed command line values to the options accepted by the commands
+ * @param {Object} values - Values from parseArgs
+ * @returns {Object} Command options; unset flags stay undefined so env defaults apply
+ */
+const toCommandOptions = (values) => {
+  if (values['dry-run'] && values.apply) {
+    throw new Error('--dry-run and --apply cannot be used together.');
+  }
+
+  const threshold = values.threshold === undefined ? undefined : parseInt(values.threshold, 10);
+  if (threshold !== undefined && !(threshold > 0)) {
+    throw new Error(`--threshold must be a positive number of days, got: ${values.threshold}`);
+  }
+
+  return {
+    org: values.org,
+    orgs: values.orgs,
+    enterprise: values.enterprise,
+    threshold,
+    dryRun: values.apply ? false : (values['dry-run'] ? true : undefined),
+    input: values.input,
+    outputDir: values['output-dir'],
+    reportDir: values['report-dir'],
+    format: values.format,
+    users: values.users,
+    approval: values.approval,
+    manifest: values.manifest,
+  };
+};
+
+/**
+ * Parses the command line and runs the selected command
+ * @param {Array<string>} argv - Command line arguments without the node executable and script
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const [command] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    console.log(USAGE);
+    return parsed.values.help ? 0 : 1;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 1;
+  }
+
+  let options;
+  try {
+    checkCommandOptions(command, parsed.values);
+    options = toCommandOptions(parsed.values);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  try {
+    await COMMANDS[command].run(options);
+    return process.exitCode || 0;
+  } catch (error) {
+    // Commands log their own errors before rethrowing
+    return 1;
+  }
+};
+
+// Set the exit code instead of exiting, so output piped from report or check --format json is flushed first
+main(process.argv.slice(2))
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    console.error('Unexpected error:', error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,149 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { request } = require('./github-client');
+
+const DEFAULT_ACTIVITY_POLICY_FILE = 'config/activity-policy.yml';
+
+// Only Copilot activity counts when no activity policy is present
+const DEFAULT_ACTIVITY_POLICY = {
+  min_seat_age_days: 0,
+  seat_assignment_counts_as_activity: false,
+  contributions: { enabled: false, lookback_days: 30 },
+};
+
+const ORGANIZATION_ID_QUERY = `
+  query($org: String!) {
+    organization(login: $org) {
+      id
+    }
+  }
+`;
+
+const CONTRIBUTIONS_QUERY = `
+  query($login: String!, $orgId: ID!, $from: DateTime!) {
+    user(login: $login) {
+      contributionsCollection(organizationID: $orgId, from: $from) {
+        totalCommitContributions
+        totalPullRequestContributions
+        totalPullRequestReviewContributions
+        totalIssueContributions
+      }
+    }
+  }
+`;
+
+/**
+ * Loads the activity policy deciding which signals count as Copilot activity
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {Object} Activity policy
+ */
+const loadActivityPolicy = (filePath = process.env.ACTIVITY_POLICY_FILE || DEFAULT_ACTIVITY_POLICY_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No activity policy found at ${filePath}, only Copilot activity counts.`);
+    return DEFAULT_ACTIVITY_POLICY;
+  }
+
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const contributions = config.contributions || {};
+  const policy = {
+    min_seat_age_days: parseInt(config.min_seat_age_days || 0, 10),
+    seat_assignment_counts_as_activity: config.seat_assignment_counts_as_activity === true,
+    contributions: {
+      enabled: contributions.enabled === true,
+      lookback_days: parseInt(contributions.lookback_days || DEFAULT_ACTIVITY_POLICY.contributions.lookback_days, 10),
+    },
+  };
+  console.log(`Loaded activity policy from ${filePath}: minimum seat age ${policy.min_seat_age_days} days, seat assignment ${policy.seat_assignment_counts_as_activity ? 'counts' : 'does not count'} as activity, org contributions ${policy.contributions.enabled ? `checked over ${policy.contributions.lookback_days} days` : 'not checked'}`);
+  return policy;
+};
+
+/**
+ * Determines the latest activity of a seat under the policy and explains where it comes from
+ * @param {Object} seat - Copilot seat assignment
+ * @param {Object} policy - Result of loadActivityPolicy
+ * @returns {{date: Date|null, reason: string}} Latest activity, or null if none counts
+ */
+const getLatestActivity = (seat, policy) => {
+  const lastActivityDate = seat.last_activity_at ? new Date(seat.last_activity_at) : null;
+  const assignedDate = seat.created_at ? new Date(seat.created_at) : null;
+  const editor = seat.last_activity_editor ? ` in ${seat.last_activity_editor.split('/')[0]}` : '';
+
+  if (policy.seat_assignment_counts_as_activity && assignedDate && (!lastActivityDate || assignedDate > lastActivityDate)) {
+    return {
+      date: assignedDate,
+      reason: `Seat assigned on ${assignedDate.toISOString().slice(0, 10)}, counted as activity`,
+    };
+  }
+  if (lastActivityDate) {
+    return {
+      date: lastActivityDate,
+      reason: `Last Copilot activity on ${lastActivityDate.toISOString().slice(0, 10)}${editor}`,
+    };
+  }
+  return { date: null, reason: 'No Copilot activity recorded' };
+};
+
+/**
+ * Checks whether a seat is too young for its holder to be removed
+ * @param {Object} seat - Copilot seat assignment
+ * @param {Object} policy - Result of loadActivityPolicy
+ * @param {Date} today - Reference date
+ * @returns {string|null} Reason the seat is not yet eligible for removal, or null if it is
+ */
+const getSeatAgeReason = (seat, policy, today) => {
+  if (!policy.min_seat_age_days || !seat.created_at) return null;
+  const assignedDate = new Date(seat.created_at);
+  const seatAgeDays = Math.floor((today - assignedDate) / (1000 * 60 * 60 * 24));
+  if (seatAgeDays >= policy.min_seat_age_days) return null;
+  return `Seat assigned on ${assignedDate.toISOString().slice(0, 10)}, younger than the minimum seat age of ${policy.min_seat_age_days} days`;
+};
+
+/**
+ * Fetches the GraphQL node ID of the organization, needed to scope contributions
+ * @param {string} org - Organization name
+ * @returns {Promise<string>} Organization node ID
+ */
+const getOrganizationId = async (org) => {
+  const response = await request('post', '/graphql', {
+    data: { query: ORGANIZATION_ID_QUERY, variables: { org } },
+  });
+  const organization = response.data.data && response.data.data.organization;
+  if (!organization) {
+    throw new Error(`Organization ${org} not found via GraphQL`);
+  }
+  return organization.id;
+};
+
+/**
+ * Describes a user's recent contributions to the organization
+ * @param {string} login - GitHub login of the user
+ * @param {string} orgId - Organization node ID
+ * @param {Date} since - Start of the lookback window
+ * @returns {Promise<string|null>} Summary such as "3 commits, 1 pull request", or null if none
+ */
+const getRecentContributions = async (login, orgId, since) => {
+  const response = await request('post', '/graphql', {
+    data: { query: CONTRIBUTIONS_QUERY, variables: { login, orgId, from: since.toISOString() } },
+  });
+  const user = response.data.data && response.data.data.user;
+  if (!user) return null;
+
+  const collection = user.contributionsCollection;
+  const counts = [
+    [collection.totalCommitContributions, 'commit'],
+    [collection.totalPullRequestContributions, 'pull request'],
+    [collection.totalPullRequestReviewContributions, 'review'],
+    [collection.totalIssueContributions, 'issue'],
+  ].filter(([count]) => count > 0);
+  if (counts.length === 0) return null;
+  return counts.map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`).join(', ');
+};
+
+module.exports = {
+  loadActivityPolicy,
+  getLatestActivity,
+  getSeatAgeReason,
+  getOrganizationId,
+  getRecentContributions,
+};
@@ -0,0 +1,208 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { request } = require('./github-client');
+const { getReportOnlyTeams } = require('./copilot-teams');
+const { formatMarkdownTable } = require('./reports');
+
+// Path of the manifest in the repository; merging the pull request that adds it approves the removals
+const MANIFEST_PATH = 'clean-logs/pending-removal.yml';
+
+// Branch the approval pull request is opened from, reset on every run
+const APPROVAL_BRANCH = 'copilot-seat-cleaner/pending-removal';
+
+// Manifests older than this are refused, as the activity data behind them is outdated
+const DEFAULT_MAX_AGE_DAYS = 14;
+
+/**
+ * Resolves the maximum age of an approved manifest, shared by the pull request text and the removal step
+ * @returns {number} Maximum age in days (APPROVAL_MAX_AGE_DAYS, default 14)
+ */
+const getMaxAgeDays = () => parseInt(process.env.APPROVAL_MAX_AGE_DAYS || String(DEFAULT_MAX_AGE_DAYS), 10);
+
+/**
+ * Builds the manifest entry of a user due for removal, keeping the activity data the
+ * removal will be checked against
+ * @param {Object} user - Inactive user record from the usage check
+ * @returns {Object} Manifest entry
+ */
+const buildManifestEntry = (user) => ({
+  login: user.login,
+  status: user.status,
+  days_inactive: user.days_inactive,
+  last_activity_at: user.last_activity_at || null,
+  team: user.team,
+});
+
+/**
+ * Formats a removal manifest as YAML with one line per user, so reviewers can spare a
+ * user by deleting their line
+ * @param {Object} manifest - Manifest with org, generated_at, threshold_days and users
+ * @returns {string} Manifest content
+ */
+const formatRemovalManifest = (manifest) => {
+  const header = yaml.dump({
+    org: manifest.org,
+    generated_at: manifest.generated_at,
+    threshold_days: manifest.threshold_days,
+  }, { lineWidth: -1 });
+  const users = manifest.users.length > 0 ?
+    `users:\n${manifest.users.map(entry => `  - ${yaml.dump(entry, { flowLevel: 0, lineWidth: -1 }).trim()}`).join('\n')}\n` :
+    'users: []\n';
+
+  return `# Pending Copilot seat removals for ${manifest.org}, generated by the usage check.
+# Delete a user's line to spare them. Merging removes the seats of the remaining users;
+# the removal is refused if any of them used Copilot after this manifest was generated.
+${header}${users}`;
+};
+
+/**
+ * Writes a removal manifest
+ * @param {Object} manifest - Manifest with org, generated_at, threshold_days and users
+ * @param {string} filePath - Path to write the manifest to
+ * @returns {string} Manifest content
+ */
+const writeRemovalManifest = (manifest, filePath) => {
+  const content = formatRemovalManifest(manifest);
+  fs.writeFileSync(filePath, content);
+  return content;
+};
+
+/**
+ * Reads an approved removal manifest
+ * @param {string} filePath - Path of the manifest
+ * @returns {Object} Manifest with its remaining users
+ */
+const loadRemovalManifest = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Removal manifest not found: ${filePath}`);
+  }
+  const manifest = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  if (!manifest.org || !manifest.generated_at) {
+    throw new Error(`Invalid removal manifest ${filePath}: org and generated_at are required.`);
+  }
+  // Reviewers may have deleted every user line
+  const users = (manifest.users || []).filter(Boolean);
+  users.forEach(entry => {
+    if (!entry.login) {
+      throw new Error(`Invalid removal manifest entry, missing "login": ${JSON.stringify(entry)}`);
+    }
+  });
+  return { ...manifest, generated_at: new Date(manifest.generated_at).toISOString(), users };
+};
+
+/**
+ * Compares an approved manifest with current activity data
+ * @param {Object} manifest - Result of loadRemovalManifest
+ * @param {Object} current - Current state
+ * @param {string} current.org - Organization of the run
+ * @param {Array<Object>} current.inactiveUsers - Inactive users from a fresh usage check
+ * @param {Date} current.today - Reference date
+ * @param {number} [current.maxAgeDays] - Maximum age of the manifest in days (default getMaxAgeDays)
+ * @returns {Array<string>} Reasons the manifest is stale; empty if it can be executed
+ */
+const findStaleEntries = (manifest, { org, inactiveUsers, today, maxAgeDays = getMaxAgeDays() }) => {
+  const problems = [];
+  if (manifest.org !== org) {
+    problems.push(`Manifest is for organization ${manifest.org}, not ${org}`);
+  }
+
+  const generatedAt = new Date(manifest.generated_at);
+  const ageDays = Math.floor((today - generatedAt) / (1000 * 60 * 60 * 24));
+  if (ageDays > maxAgeDays) {
+    problems.push(`Manifest was generated ${ageDays} days ago, more than the allowed ${maxAgeDays} days`);
+  }
+
+  manifest.users.forEach(entry => {
+    const user = inactiveUsers.find(candidate => candidate.login === entry.login);
+    if (!user) {
+      problems.push(`${entry.login} is no longer inactive`);
+    } else if (user.last_activity_at && (!entry.last_activity_at || new Date(user.last_activity_at) > new Date(entry.last_activity_at))) {
+      problems.push(`${entry.login} used Copilot on ${user.last_activity_at} after the manifest was generated`);
+    } else if (user.status === 'Warning') {
+      problems.push(`${entry.login} is no longer past the inactivity threshold`);
+    } else if (user.exempt_reason || user.ineligible_reason || user.engaged_reason) {
+      problems.push(`${entry.login} is not eligible for removal anymore: ${user.exempt_reason || user.ineligible_reason || user.engaged_reason}`);
+    } else if (getReportOnlyTeams(user).length > 0) {
+      problems.push(`${entry.login} now gets Copilot through a report-only team`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Opens a pull request adding the manifest, or updates the one opened by an earlier run
+ * @param {Object} manifest - Manifest with org, generated_at, threshold_days and users
+ * @param {string} content - Formatted manifest
+ * @returns {Promise<string|null>} URL of the pull request, or null if GITHUB_REPOSITORY is not set
+ */
+const openApprovalPullRequest = async (manifest, content) => {
+  const repository = process.env.GITHUB_REPOSITORY;
+  if (!repository) {
+    console.warn('GITHUB_REPOSITORY is not set, skipping the approval pull request.');
+    return null;
+  }
+
+  // Reset the approval branch to the tip of the base branch
+  const baseBranch = process.env.APPROVAL_BASE_BRANCH ||
+    (await request('get', `/repos/${repository}`)).data.default_branch;
+  const baseRef = await request('get', `/repos/${repository}/git/ref/heads/${baseBranch}`);
+  const baseSha = baseRef.data.object.sha;
+  try {
+    await request('patch', `/repos/${repository}/git/refs/heads/${APPROVAL_BRANCH}`, { data: { sha: baseSha, force: true } });
+  } catch (error) {
+    if (!error.response || error.response.status !== 422) throw error;
+    await request('post', `/repos/${repository}/git/refs`, { data: { ref: `refs/heads/${APPROVAL_BRANCH}`, sha: baseSha } });
+  }
+
+  // Add or replace the manifest on the branch
+  let existingSha;
+  try {
+    existingSha = (await request('get', `/repos/${repository}/contents/${MANIFEST_PATH}`, { params: { ref: APPROVAL_BRANCH } })).data.sha;
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) throw error;
+  }
+  await request('put', `/repos/${repository}/contents/${MANIFEST_PATH}`, {
+    data: {
+      message: `Add pending Copilot seat removals for ${manifest.org}`,
+      content: Buffer.from(content).toString('base64'),
+      branch: APPROVAL_BRANCH,
+      sha: existingSha,
+    },
+  });
+
+  const title = `Approve Copilot seat removals for ${manifest.org}`;
+  const body = `Merging this pull request removes the Copilot seats of the ${manifest.users.length} users listed in \`${MANIFEST_PATH}\`.
+
+- To spare a user, delete their line from the manifest before merging.
+- The removal is refused if any remaining user used Copilot after ${manifest.generated_at.slice(0, 10)} or if the manifest is older than ${getMaxAgeDays()} days; close this pull request and wait for the next run in that case.
+
+${formatMarkdownTable(['User Login', 'Status', 'Days Inactive', 'Teams', 'Last Activity'], manifest.users.map(entry =>
+  [entry.login, entry.status, entry.days_inactive, entry.team, entry.last_activity_at || 'Never']))}
+`;
+
+  const owner = repository.split('/')[0];
+  const openPulls = await request('get', `/repos/${repository}/pulls`, { params: { state: 'open', head: `${owner}:${APPROVAL_BRANCH}` } });
+  if (openPulls.data.length > 0) {
+    const pull = openPulls.data[0];
+    await request('patch', `/repos/${repository}/pulls/${pull.number}`, { data: { title, body } });
+    console.log(`Updated approval pull request #${pull.number}: ${pull.html_url}`);
+    return pull.html_url;
+  }
+  const response = await request('post', `/repos/${repository}/pulls`, {
+    data: { title, body, head: APPROVAL_BRANCH, base: baseBranch },
+  });
+  console.log(`Opened approval pull request #${response.data.number}: ${response.data.html_url}`);
+  return response.data.html_url;
+};
+
+module.exports = {
+  MANIFEST_PATH,
+  DEFAULT_MAX_AGE_DAYS,
+  getMaxAgeDays,
+  buildManifestEntry,
+  writeRemovalManifest,
+  loadRemovalManifest,
+  findStaleEntries,
+  openApprovalPullRequest,
+};
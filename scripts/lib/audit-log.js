@@ -0,0 +1,152 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { paginate } = require('./github-client');
+
+const DEFAULT_AUDIT_LOG_FILE = 'config/audit-log.yml';
+
+// Audit log actions counted as Copilot seat changes, see config/audit-log.yml
+const DEFAULT_AUDIT_LOG_CONFIG = {
+  seat_assigned: ['copilot.cfb_seat_added'],
+  seat_cancelled: ['copilot.cfb_seat_cancelled', 'copilot.cfb_seat_cancelled_by_staff'],
+  team_added: ['copilot.cfb_seat_assignment_created'],
+};
+
+// Ledger actions of the cleaner and the seat change each of them shows up as in the audit log
+const CLEANER_CHANGES = {
+  remove: 'Seat cancelled',
+  restore: 'Seat assigned',
+  grant: 'Seat assigned',
+};
+
+/**
+ * Loads the audit log actions the reconciliation step counts as seat changes
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {{seat_assigned: Array<string>, seat_cancelled: Array<string>, team_added: Array<string>}} Audit log actions
+ */
+const loadAuditLogConfig = (filePath = process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No audit log config found at ${filePath}, using the default Copilot actions.`);
+    return DEFAULT_AUDIT_LOG_CONFIG;
+  }
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  return {
+    seat_assigned: config.seat_assigned || DEFAULT_AUDIT_LOG_CONFIG.seat_assigned,
+    seat_cancelled: config.seat_cancelled || DEFAULT_AUDIT_LOG_CONFIG.seat_cancelled,
+    team_added: config.team_added || DEFAULT_AUDIT_LOG_CONFIG.team_added,
+  };
+};
+
+/**
+ * Fetches the Copilot seat changes recorded in the organization audit log within a period
+ * @param {string} org - Organization name
+ * @param {Object} config - Result of loadAuditLogConfig
+ * @param {Date} since - Start of the period
+ * @param {Date} until - End of the period, exclusive
+ * @returns {Promise<Array<{date: string, action: string, change: string, login: string|null, team: string|null, actor: string}>>} Seat changes, oldest first
+ */
+const getCopilotAuditEvents = async (org, config, since, until) => {
+  const changes = [
+    ...config.seat_assigned.map(action => [action, 'Seat assigned']),
+    ...config.seat_cancelled.map(action => [action, 'Seat cancelled']),
+    ...config.team_added.map(action => [action, 'Team added to Copilot']),
+  ];
+  const changeByAction = new Map(changes);
+
+  // The search phrase filters by day; the exact period is applied to the event timestamps
+  const events = await paginate(`/orgs/${org}/audit-log`, {
+    params: { phrase: `action:copilot created:>=${since.toISOString().slice(0, 10)}`, order: 'asc' },
+  });
+  return events
+    .map(event => ({ ...event, timestamp: new Date(event['@timestamp'] || event.created_at) }))
+    .filter(event => changeByAction.has(event.action) && event.timestamp >= since && event.timestamp < until)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(event => ({
+      date: event.timestamp.toISOString(),
+      action: event.action,
+      change: changeByAction.get(event.action),
+      login: event.user || null,
+      team: event.team || null,
+      actor: event.actor || 'unknown',
+    }));
+};
+
+/**
+ * Lists the seat changes the cleaner made in production runs, from the ledgers of a period
+ * @param {Array<Object>} ledgers - Removal and restore run records
+ * @param {Date} since - Start of the period
+ * @param {Date} until - End of the period, exclusive
+ * @returns {Array<{login: string, change: string, run: string}>} Changes made by the cleaner
+ */
+const getCleanerChanges = (ledgers, since, until) => ledgers
+  .filter(ledger => !ledger.dry_run && new Date(ledger.date) >= since && new Date(ledger.date) < until)
+  .flatMap(ledger => ledger.users
+    .filter(entry => CLEANER_CHANGES[entry.action] && entry.outcome === 'success')
+    // Grants are only made by non-dry reassignments, recorded in the removal ledger
+    .filter(entry => entry.action !== 'grant' || (ledger.reassignment && !ledger.reassignment.dry_run))
+    .map(entry => ({ login: entry.login, change: CLEANER_CHANGES[entry.action], run: ledger.date })));
+
+/**
+ * Counts the seats billed beyond this cycle; cancelled seats stay in the total until the cycle ends
+ * @param {Object} breakdown - Billing seat_breakdown
+ * @returns {number} Seats not pending cancellation
+ */
+const getBilledSeats = (breakdown) => breakdown.total - (breakdown.pending_cancellation || 0);
+
+/**
+ * Attributes each audit log seat change to the cleaner when a ledger records it, or to its actor otherwise,
+ * and lists the discrepancies between the audit log, the ledgers and the billed seats
+ * @param {Object} reconciliation
+ * @param {Array<Object>} reconciliation.events - Result of getCopilotAuditEvents
+ * @param {Array<Object>} reconciliation.cleanerChanges - Result of getCleanerChanges
+ * @param {Object|null} reconciliation.previousBreakdown - Billing seat_breakdown of the previous run
+ * @param {Object|null} reconciliation.currentBreakdown - Billing seat_breakdown of this run
+ * @returns {{events: Array<Object>, summary: Object, discrepancies: Array<string>}} Attributed events, counts and discrepancies
+ */
+const reconcileSeatChanges = ({ events, cleanerChanges, previousBreakdown, currentBreakdown }) => {
+  // Each ledger entry explains at most one audit log event
+  const unmatched = [...cleanerChanges];
+  const attributed = events.map(event => {
+    const index = unmatched.findIndex(change => change.login === event.login && change.change === event.change);
+    if (index === -1) {
+      return { ...event, attributed_to: event.actor };
+    }
+    unmatched.splice(index, 1);
+    return { ...event, attributed_to: 'cleaner' };
+  });
+
+  const count = (change, byCleaner) => attributed
+    .filter(event => event.change === change && (event.attributed_to === 'cleaner') === byCleaner).length;
+  const summary = {
+    assigned_by_cleaner: count('Seat assigned', true),
+    assigned_by_others: count('Seat assigned', false),
+    cancelled_by_cleaner: count('Seat cancelled', true),
+    cancelled_by_others: count('Seat cancelled', false),
+    teams_added: attributed.filter(event => event.change === 'Team added to Copilot').length,
+    previous_seats: previousBreakdown ? getBilledSeats(previousBreakdown) : null,
+    expected_seats: null,
+    actual_seats: currentBreakdown ? getBilledSeats(currentBreakdown) : null,
+  };
+
+  const discrepancies = unmatched.map(change =>
+    `${change.login}: ${change.change.toLowerCase()} by the cleaner on ${change.run.slice(0, 10)} but not found in the audit log`);
+
+  // The seats of the previous run plus the assigned and minus the cancelled ones should be billed now
+  if (previousBreakdown && currentBreakdown) {
+    const assigned = summary.assigned_by_cleaner + summary.assigned_by_others;
+    const cancelled = summary.cancelled_by_cleaner + summary.cancelled_by_others;
+    summary.expected_seats = summary.previous_seats + assigned - cancelled;
+    if (summary.expected_seats !== summary.actual_seats) {
+      discrepancies.push(`Billing reports ${summary.actual_seats} seats not pending cancellation, but the previous ${summary.previous_seats} plus ${assigned} assigned and minus ${cancelled} cancelled in the audit log make ${summary.expected_seats}`);
+    }
+  }
+
+  return { events: attributed, summary, discrepancies };
+};
+
+module.exports = {
+  loadAuditLogConfig,
+  getCopilotAuditEvents,
+  getCleanerChanges,
+  reconcileSeatChanges,
+};
@@ -0,0 +1,88 @@
+// Label for seats whose holder belongs to no team
+const NO_TEAM = 'No teams';
+
+/**
+ * Extracts the editor name from a seat's last_activity_editor, e.g. vscode/1.85.1/copilot/1.143.0
+ * @param {string|null} editor - Editor reported for the last Copilot activity
+ * @returns {string|null} Editor name, or null if the seat has no activity
+ */
+const getEditorName = (editor) => (editor ? editor.split('/')[0] : null);
+
+/**
+ * Creates an empty breakdown row
+ * @param {string} team - Team name
+ * @returns {Object} Breakdown row
+ */
+const createRow = (team) => ({ team, seats: 0, active: 0, warning: 0, inactive: 0, inactive_rate: 0, editors: {} });
+
+/**
+ * Adds a seat to a breakdown row
+ * @param {Object} row - Breakdown row
+ * @param {{status: string, editor: string|null}} seat - Seat status and editor
+ */
+const addSeat = (row, seat) => {
+  row.seats += 1;
+  if (seat.status === 'Active') {
+    row.active += 1;
+  } else if (seat.status === 'Warning') {
+    row.warning += 1;
+  } else {
+    row.inactive += 1;
+  }
+  const editor = getEditorName(seat.editor);
+  if (editor) {
+    row.editors[editor] = (row.editors[editor] || 0) + 1;
+  }
+};
+
+/**
+ * Breaks seat usage down per team: seats, active, warning and inactive counts, and the editors in use
+ * @param {Array<{login: string, status: string, editor: string|null}>} seats - Status of every seat
+ * @param {Array<{name: string, members: Array<string>}>} teams - Teams with their member logins
+ * @returns {{teams: Array<Object>, total: Object}} Rows per team with seats, highest inactive rate first, and the org-wide total
+ */
+const buildTeamBreakdown = (seats, teams) => {
+  const total = createRow('All seats');
+  const rows = new Map();
+
+  seats.forEach(seat => {
+    addSeat(total, seat);
+    const seatTeams = teams.filter(team => team.members.includes(seat.login)).map(team => team.name);
+    (seatTeams.length > 0 ? seatTeams : [NO_TEAM]).forEach(name => {
+      if (!rows.has(name)) rows.set(name, createRow(name));
+      addSeat(rows.get(name), seat);
+    });
+  });
+
+  const withRate = (row) => ({ ...row, inactive_rate: row.seats > 0 ? row.inactive / row.seats : 0 });
+  return {
+    teams: Array.from(rows.values())
+      .map(withRate)
+      .sort((a, b) => b.inactive_rate - a.inactive_rate || b.inactive - a.inactive || a.team.localeCompare(b.team)),
+    total: withRate(total),
+  };
+};
+
+/**
+ * Formats editor usage counts, most used first
+ * @param {Object} editors - Seat counts keyed by editor name
+ * @returns {string} Editors such as "vscode (3), JetBrains (1)", or "None" if no seat has activity
+ */
+const formatEditors = (editors) => Object.entries(editors)
+  .sort(([nameA, countA], [nameB, countB]) => countB - countA || nameA.localeCompare(nameB))
+  .map(([name, count]) => `${name} (${count})`)
+  .join(', ') || 'None';
+
+/**
+ * Formats the inactive share of a breakdown row as a percentage
+ * @param {Object} row - Breakdown row
+ * @returns {string} Percentage such as 42.9%
+ */
+const formatInactiveRate = (row) => `${(row.inactive_rate * 100).toFixed(1)}%`;
+
+module.exports = {
+  NO_TEAM,
+  buildTeamBreakdown,
+  formatEditors,
+  formatInactiveRate,
+};
@@ -0,0 +1,210 @@
+// Import required dependencies
+const { request } = require('./github-client');
+
+/**
+ * Fetches the current Copilot seat of a user, to re-verify it right before the removal
+ * @param {string} org - Organization name
+ * @param {string} login - GitHub login of the user
+ * @returns {Promise<Object|null>} Seat details, or null if the user holds no seat
+ */
+const getCurrentSeat = async (org, login) => {
+  try {
+    const response = await request('get', `/orgs/${org}/members/${login}/copilot`, {
+      accept: 'application/vnd.github.copilot-billing-preview+json',
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Fetches the number of Copilot seats billed to the organization, for the removal caps
+ * @param {string} org - Organization name
+ * @returns {Promise<number>} Total seats
+ */
+const getSeatTotal = async (org) => {
+  const response = await request('get', `/orgs/${org}/copilot/billing`, {
+    accept: 'application/vnd.github.copilot-billing-preview+json',
+  });
+  return response.data.seat_breakdown.total;
+};
+
+/**
+ * Removes a user from a team that grants their Copilot seat
+ * @param {Object} user - User object containing login information
+ * @param {{name: string, slug: string}} team - Copilot team to remove the user from
+ * @param {Object} settings - Run settings with org and isDryRun
+ * @returns {Promise<boolean>} Success status of the team removal
+ */
+const removeFromCopilotTeam = async (user, team, { org, isDryRun }) => {
+  try {
+    console.log(`Removing user ${user.login} from Copilot Access team: ${team.name} (slug: ${team.slug})`);
+    
+    // Execute team removal if not in dry run mode
+    if (!isDryRun) {
+      const response = await request('delete', `/orgs/${org}/teams/${team.slug}/memberships/${user.login}`);
+      user.api_status = response.status;
+    }
+    
+    console.log(`${isDryRun ? '[DRY RUN] Would have removed' : 'Removed'} ${user.login} from Copilot Access team ${team.name}`);
+    return true;
+  } catch (error) {
+    console.error(`Error removing ${user.login} from Copilot Access team ${team.name}:`, error.message);
+    // Keep the failure details for the run ledger
+    user.error = error.response && error.response.data && error.response.data.message ?
+      error.response.data.message :
+      error.message;
+    user.api_status = error.response ? error.response.status : null;
+    if (error.response) {
+      console.error('Response:', JSON.stringify(error.response.data, null, 2));
+    }
+    return false;
+  }
+};
+
+/**
+ * Re-adds a user to the Copilot teams they left before the removal of their access failed, since
+ * restore only re-grants seats whose removal succeeded. The failure details of the user are kept.
+ * @param {Object} user - User object with the teams already left in removed_from_teams
+ * @param {Object} settings - Run settings with org and isDryRun
+ * @returns {Promise<void>} Resolves once every team was attempted; teams the user could not be
+ *   re-added to stay in removed_from_teams and are named in the user's error
+ */
+const rejoinCopilotTeams = async (user, { org, isDryRun }) => {
+  const notRejoined = [];
+  for (const team of user.removed_from_teams) {
+    try {
+      if (!isDryRun) {
+        await request('put', `/orgs/${org}/teams/${team.slug}/memberships/${user.login}`, {
+          data: { role: 'member' },
+        });
+      }
+      console.log(`${isDryRun ? '[DRY RUN] Would have re-added' : 'Re-added'} ${user.login} to Copilot Access team ${team.name}`);
+    } catch (error) {
+      console.error(`Error re-adding ${user.login} to Copilot Access team ${team.name}:`, error.message);
+      notRejoined.push(team);
+    }
+  }
+  user.removed_from_teams = notRejoined;
+  if (notRejoined.length > 0) {
+    user.error = `${user.error} (could not re-add to ${notRejoined.map(team => team.name).join(', ')}, re-add the user manually)`;
+  }
+};
+
+/**
+ * Removes Copilot access for a specific user by removing them from every Copilot team
+ * they belong to and, unless a team assigned the seat, removing the seat itself
+ * @param {Object} user - User object containing login information
+ * @param {Object} settings - Run settings with org and isDryRun
+ * @returns {Promise<boolean>} Success status of the removal operation
+ */
+const removeCopilotAccess = async (user, settings) => {
+  const { org, isDryRun } = settings;
+  console.log(`Removing Copilot access for user: ${user.login}`);
+
+  // Leave every Copilot team first, remembering them so the seat can be restored through them later
+  user.removed_from_teams = [];
+  for (const team of user.copilot_teams || []) {
+    const teamRemovalResult = await removeFromCopilotTeam(user, team, settings);
+    if (!teamRemovalResult) {
+      await rejoinCopilotTeams(user, settings);
+      return false;
+    }
+    user.removed_from_teams.push({ name: team.name, slug: team.slug });
+  }
+
+  // A seat assigned through a team is released once the user has left all Copilot teams
+  if (user.assigning_team) {
+    console.log(`${isDryRun ? '[DRY RUN] Would have released' : 'Released'} team-assigned Copilot seat of user: ${user.login}`);
+    delete user.error;
+    return true;
+  }
+
+  try {
+    // Execute access removal if not in dry run mode
+    if (!isDryRun) {
+      const response = await request('delete', `/orgs/${org}/copilot/billing/selected_users`, {
+        accept: 'application/vnd.github.copilot-billing-preview+json',
+        data: {
+          selected_usernames: [user.login],
+        },
+      });
+      user.api_status = response.status;
+    }
+    
+    console.log(`${isDryRun ? '[DRY RUN] Would have removed' : 'Removed'} Copilot access for user: ${user.login}`);
+    delete user.error;
+    return true;
+  } catch (error) {
+    console.error(`Error removing Copilot access for ${user.login}:`, error.message);
+    // Keep the failure details for the run ledger
+    user.error = error.response && error.response.data && error.response.data.message ?
+      error.response.data.message :
+      error.message;
+    user.api_status = error.response ? error.response.status : null;
+    if (error.response) {
+      console.error('Response:', JSON.stringify(error.response.data, null, 2));
+      
+      // The seat changed hands since the usage check, or was granted by a team missing from the config
+      if (error.response.status === 422 && String(error.response.data.message).includes('assigned via team')) {
+        console.error(`User ${user.login} has Copilot access through a team that is not configured in config/copilot-teams.yml`);
+      }
+    }
+    await rejoinCopilotTeams(user, settings);
+    return false;
+  }
+};
+
+/**
+ * Grants a Copilot seat, either directly or by adding the user to a team that grants seats
+ * @param {Object} user - User object containing login information
+ * @param {Object} settings - Run settings with org, isDryRun and the optional teamSlug to grant through
+ * @returns {Promise<boolean>} Success status of the grant
+ */
+const grantCopilotAccess = async (user, { org, isDryRun, teamSlug }) => {
+  try {
+    if (teamSlug) {
+      console.log(`Adding user ${user.login} to Copilot Access team: ${teamSlug}`);
+      if (!isDryRun) {
+        const response = await request('put', `/orgs/${org}/teams/${teamSlug}/memberships/${user.login}`, {
+          data: { role: 'member' },
+        });
+        user.api_status = response.status;
+      }
+    } else {
+      console.log(`Assigning Copilot seat to user: ${user.login}`);
+      if (!isDryRun) {
+        const response = await request('post', `/orgs/${org}/copilot/billing/selected_users`, {
+          data: { selected_usernames: [user.login] },
+        });
+        user.api_status = response.status;
+      }
+    }
+
+    console.log(`${isDryRun ? '[DRY RUN] Would have granted' : 'Granted'} a Copilot seat to user: ${user.login}`);
+    return true;
+  } catch (error) {
+    console.error(`Error granting a Copilot seat to ${user.login}:`, error.message);
+    // Keep the failure details for the run ledger
+    user.error = error.response && error.response.data && error.response.data.message ?
+      error.response.data.message :
+      error.message;
+    user.api_status = error.response ? error.response.status : null;
+    if (error.response) {
+      console.error('Response:', JSON.stringify(error.response.data, null, 2));
+    }
+    return false;
+  }
+};
+
+module.exports = {
+  getCurrentSeat,
+  getSeatTotal,
+  removeFromCopilotTeam,
+  removeCopilotAccess,
+  grantCopilotAccess,
+};
@@ -0,0 +1,108 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const DEFAULT_COPILOT_TEAMS_FILE = 'config/copilot-teams.yml';
+
+const TEAM_ACTIONS = ['remove', 'report'];
+
+// Naming convention used when no Copilot teams config is present
+const DEFAULT_COPILOT_TEAMS = {
+  name_pattern: /^Team Copilot - /,
+  default_action: 'remove',
+  teams: [],
+};
+
+/**
+ * Validates a team action from the config
+ * @param {string} action - Configured action
+ * @param {string} context - Where the action was configured, for error messages
+ * @returns {string} The action
+ */
+const validateAction = (action, context) => {
+  if (!TEAM_ACTIONS.includes(action)) {
+    throw new Error(`Invalid Copilot team action for ${context}: ${action}. Use ${TEAM_ACTIONS.join(' or ')}.`);
+  }
+  return action;
+};
+
+/**
+ * Loads the config of teams that grant Copilot seats
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {{name_pattern: RegExp|null, default_action: string, teams: Array}} Copilot teams config
+ */
+const loadCopilotTeamsConfig = (filePath = process.env.COPILOT_TEAMS_FILE || DEFAULT_COPILOT_TEAMS_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No Copilot teams config found at ${filePath}, using teams named "Team Copilot - ...".`);
+    return DEFAULT_COPILOT_TEAMS;
+  }
+
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const copilotTeams = {
+    name_pattern: config.name_pattern ? new RegExp(config.name_pattern) : null,
+    default_action: validateAction(config.default_action || 'remove', 'default_action'),
+    teams: (config.teams || []).map(entry => {
+      if (!entry || !entry.slug) {
+        throw new Error(`Invalid Copilot team entry, missing "slug": ${JSON.stringify(entry)}`);
+      }
+      return {
+        slug: String(entry.slug),
+        action: validateAction(entry.action || config.default_action || 'remove', entry.slug),
+      };
+    }),
+  };
+  console.log(`Loaded ${copilotTeams.teams.length} Copilot teams${copilotTeams.name_pattern ? ` and name pattern ${copilotTeams.name_pattern}` : ''} from ${filePath}`);
+  return copilotTeams;
+};
+
+/**
+ * Determines the action for a Copilot-granting team
+ * @param {Object} config - Result of loadCopilotTeamsConfig
+ * @param {{name: string, slug: string}} team - Team to look up
+ * @returns {string|null} 'remove' or 'report', or null if the team does not grant Copilot seats
+ */
+const getCopilotTeamAction = (config, team) => {
+  const listed = config.teams.find(entry => entry.slug === team.slug);
+  if (listed) return listed.action;
+  if (config.name_pattern && config.name_pattern.test(team.name)) return config.default_action;
+  return null;
+};
+
+/**
+ * Lists the Copilot-granting teams of a user, including the team that assigned their seat
+ * even when the config does not know it
+ * @param {Object} config - Result of loadCopilotTeamsConfig
+ * @param {Array<{name: string, slug: string}>} userTeams - Teams the user is a member of
+ * @param {Object|null} assigningTeam - Team reported as assigning the seat, if any
+ * @returns {Array<{name: string, slug: string, action: string}>} Copilot teams of the user
+ */
+const getUserCopilotTeams = (config, userTeams, assigningTeam) => {
+  const copilotTeams = userTeams
+    .map(team => ({ name: team.name, slug: team.slug, action: getCopilotTeamAction(config, team) }))
+    .filter(team => team.action);
+
+  // A seat assigned through an unconfigured team is never removed automatically
+  if (assigningTeam && !copilotTeams.some(team => team.slug === assigningTeam.slug)) {
+    copilotTeams.push({
+      name: assigningTeam.name,
+      slug: assigningTeam.slug,
+      action: getCopilotTeamAction(config, assigningTeam) || 'report',
+    });
+  }
+  return copilotTeams;
+};
+
+/**
+ * Lists the report-only teams among a user's Copilot teams; while any remains, removing the
+ * user from the other teams would not release the seat
+ * @param {Object} user - Inactive user record from the usage check
+ * @returns {Array<Object>} Report-only Copilot teams of the user
+ */
+const getReportOnlyTeams = (user) => (user.copilot_teams || []).filter(team => team.action === 'report');
+
+module.exports = {
+  loadCopilotTeamsConfig,
+  getCopilotTeamAction,
+  getUserCopilotTeams,
+  getReportOnlyTeams,
+};
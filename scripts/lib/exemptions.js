@@ -0,0 +1,115 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const DEFAULT_EXEMPTIONS_FILE = 'config/exemptions.yml';
+
+/**
+ * Normalizes a single exemption entry from the config file
+ * @param {Object} entry - Raw entry with login or slug, reason and optional expires
+ * @param {string} key - Identifier property of the entry ('login' or 'slug')
+ * @returns {Object} Entry with a parsed expiry date
+ */
+const normalizeEntry = (entry, key) => {
+  if (!entry || !entry[key]) {
+    throw new Error(`Invalid exemption entry, missing "${key}": ${JSON.stringify(entry)}`);
+  }
+  const expires = entry.expires ? new Date(entry.expires) : null;
+  if (expires && isNaN(expires.getTime())) {
+    throw new Error(`Invalid expiry date for exemption ${entry[key]}: ${entry.expires}`);
+  }
+  return {
+    [key]: String(entry[key]),
+    reason: entry.reason || 'No reason given',
+    expires,
+  };
+};
+
+/**
+ * Loads the exemptions config listing users and teams that must keep their Copilot seat
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {{users: Array, teams: Array}} Normalized user and team exemptions
+ */
+const loadExemptions = (filePath = process.env.EXEMPTIONS_FILE || DEFAULT_EXEMPTIONS_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No exemptions file found at ${filePath}, no users are exempted.`);
+    return { users: [], teams: [] };
+  }
+
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const exemptions = {
+    users: (config.users || []).map(entry => normalizeEntry(entry, 'login')),
+    teams: (config.teams || []).map(entry => normalizeEntry(entry, 'slug')),
+  };
+  console.log(`Loaded ${exemptions.users.length} user and ${exemptions.teams.length} team exemptions from ${filePath}`);
+  return exemptions;
+};
+
+/**
+ * Checks whether an exemption has passed its expiry date (the expiry day itself is still covered)
+ * @param {Object} entry - Normalized exemption entry
+ * @param {Date} today - Reference date
+ * @returns {boolean} True if the exemption has expired
+ */
+const isExpired = (entry, today) => {
+  if (!entry.expires) return false;
+  const endOfExpiryDay = new Date(entry.expires);
+  endOfExpiryDay.setUTCDate(endOfExpiryDay.getUTCDate() + 1);
+  return today >= endOfExpiryDay;
+};
+
+/**
+ * Finds the active exemption covering a user, either directly or through one of their teams
+ * @param {Object} exemptions - Result of loadExemptions
+ * @param {string} login - GitHub login of the user
+ * @param {Array<string>} teamSlugs - Slugs of the teams the user belongs to
+ * @param {Date} today - Reference date
+ * @returns {Object|null} Matching exemption with a display reason, or null if none applies
+ */
+const findExemption = (exemptions, login, teamSlugs, today) => {
+  const userEntry = exemptions.users
+    .find(entry => entry.login.toLowerCase() === login.toLowerCase() && !isExpired(entry, today));
+  if (userEntry) {
+    return { ...userEntry, source: 'user' };
+  }
+
+  const teamEntry = exemptions.teams
+    .find(entry => teamSlugs.includes(entry.slug) && !isExpired(entry, today));
+  if (teamEntry) {
+    return { ...teamEntry, reason: `Team ${teamEntry.slug}: ${teamEntry.reason}`, source: 'team' };
+  }
+
+  return null;
+};
+
+/**
+ * Lists exemptions whose expiry date has passed so they can be flagged for cleanup
+ * @param {Object} exemptions - Result of loadExemptions
+ * @param {Date} today - Reference date
+ * @returns {Array<Object>} Expired entries with type, name, reason and expiry date
+ */
+const getExpiredExemptions = (exemptions, today) => [
+  ...exemptions.users
+    .filter(entry => isExpired(entry, today))
+    .map(entry => ({ type: 'User', name: entry.login, reason: entry.reason, expires: entry.expires })),
+  ...exemptions.teams
+    .filter(entry => isExpired(entry, today))
+    .map(entry => ({ type: 'Team', name: entry.slug, reason: entry.reason, expires: entry.expires })),
+];
+
+/**
+ * Formats an exemption as a skip reason for reports
+ * @param {Object} exemption - Result of findExemption
+ * @returns {string} Human readable reason
+ */
+const formatExemptionReason = (exemption) => {
+  const until = exemption.expires ? ` (until ${exemption.expires.toISOString().slice(0, 10)})` : '';
+  return `Exempt: ${exemption.reason}${until}`;
+};
+
+module.exports = {
+  loadExemptions,
+  findExemption,
+  getExpiredExemptions,
+  formatExemptionReason,
+};
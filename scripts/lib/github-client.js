@@ -0,0 +1,302 @@
+// Import required dependencies
+const axios = require('axios');
+
+const API_BASE_URL = process.env.GITHUB_API_URL || 'https://api.github.com'; // Set by GitHub Actions, also on GitHub Enterprise Server
+const PER_PAGE = 100;
+const REQUEST_TIMEOUT_MS = 30000;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const MAX_RETRIES = parseInt(process.env.GITHUB_MAX_RETRIES || '5', 10); // Default to 5 if not set
+const DEFAULT_CONCURRENCY = parseInt(process.env.GITHUB_CONCURRENCY || '5', 10); // Default to 5 if not set
+
+// Per-run request counters, printed by logRequestSummary at the end of a run
+const stats = {
+  requests: 0,
+  retries: 0,
+  rateLimitWaits: 0,
+  failures: 0,
+  notModified: 0,
+};
+
+// GET responses with their ETags, revalidated with If-None-Match once enabled by useResponseCache.
+// Responses read in this run move to `current`, so entries no longer requested are dropped on save.
+let responseCache = null;
+
+// Epoch milliseconds at which the primary rate limit resets once it has been exhausted
+let rateLimitResetAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Builds the request headers used for every GitHub API call
+ * @param {string} [accept] - Media type to request
+ * @param {string} [etag] - ETag of a cached response to revalidate
+ * @returns {Object} Request headers
+ */
+const buildHeaders = (accept = 'application/vnd.github.v3+json', etag) => ({
+  Authorization: `token ${process.env.GITHUB_TOKEN}`,
+  Accept: accept,
+  ...(etag ? { 'If-None-Match': etag } : {}),
+});
+
+/**
+ * Extracts the URL of the next page from a Link response header
+ * @param {string} [linkHeader] - Value of the Link header
+ * @returns {string|null} URL of the next page or null on the last page
+ */
+const getNextPageUrl = (linkHeader) => {
+  if (!linkHeader) return null;
+  const nextLink = linkHeader
+    .split(',')
+    .map(part => part.trim())
+    .find(part => /rel="next"/.test(part));
+  const match = nextLink && nextLink.match(/<([^>]+)>/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Remembers the primary rate limit reset time when a response reports no remaining requests
+ * @param {Object} response - Axios response
+ */
+const trackRateLimit = (response) => {
+  const headers = response.headers || {};
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    rateLimitResetAt = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+  }
+};
+
+/**
+ * Sleeps until the primary rate limit resets if it has been exhausted
+ * @returns {Promise<void>}
+ */
+const waitForRateLimitReset = async () => {
+  const waitMs = rateLimitResetAt - Date.now();
+  if (waitMs <= 0) return;
+  stats.rateLimitWaits++;
+  console.warn(`Rate limit exhausted, waiting ${Math.ceil(waitMs / 1000)}s for it to reset...`);
+  await sleep(waitMs + 1000);
+};
+
+/**
+ * Determines whether a failed request hit a primary or secondary rate limit
+ * @param {Object} error - Axios error
+ * @returns {boolean} True when the failure was caused by rate limiting
+ */
+const isRateLimited = (error) => {
+  if (!error.response) return false;
+  const { status, headers = {}, data } = error.response;
+  if (status === 429) return true;
+  return status === 403 && Boolean(
+    headers['retry-after'] ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    (data && /rate limit/i.test(data.message))
+  );
+};
+
+// Methods that create something, e.g. an issue, a pull request or a seat; a timed out request may
+// still have succeeded, so they are only retried when GitHub rejected them for rate limiting
+const NON_IDEMPOTENT_METHODS = ['post', 'patch'];
+
+/**
+ * Determines whether a failed request is worth retrying
+ * @param {Object} error - Axios error
+ * @param {string} method - HTTP method of the request
+ * @returns {boolean} True for rate limits, and for network errors and 5xx responses of idempotent requests
+ */
+const isRetryable = (error, method) => {
+  if (isRateLimited(error)) return true;
+  if (NON_IDEMPOTENT_METHODS.includes(method.toLowerCase())) return false;
+  if (!error.response) return Boolean(error.code);
+  return error.response.status >= 500;
+};
+
+/**
+ * Converts a Retry-After header, given in seconds or as an HTTP date, to a delay
+ * @param {string} value - Value of the Retry-After header
+ * @returns {number|null} Delay in milliseconds, or null if the value cannot be parsed
+ */
+const parseRetryAfter = (value) => {
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Computes how long to wait before retrying a failed request
+ * @param {Object} error - Axios error
+ * @param {number} attempt - Zero-based number of the failed attempt
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (error, attempt) => {
+  const headers = (error.response && error.response.headers) || {};
+  const retryAfter = headers['retry-after'] ? parseRetryAfter(headers['retry-after']) : null;
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0) + 1000;
+  }
+  // Exponential backoff with jitter
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+};
+
+/**
+ * Revalidates GET requests against previously cached responses; a 304 Not Modified answer does not
+ * count against the rate limit and is served from the cache
+ * @param {Object|null} entries - Cached responses keyed by URL, e.g. from a previous run's getResponseCache;
+ *   null turns the cache off
+ */
+const useResponseCache = (entries) => {
+  responseCache = entries ? { previous: entries, current: {} } : null;
+};
+
+/**
+ * Returns the responses cached in this run, to be passed to useResponseCache in the next one
+ * @returns {Object} Cached responses keyed by URL
+ */
+const getResponseCache = () => (responseCache ? responseCache.current : {});
+
+/**
+ * Sends a request to the GitHub API, retrying rate-limited, transient and 5xx failures
+ * @param {string} method - HTTP method
+ * @param {string} path - API path or absolute URL
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Query parameters
+ * @param {Object} [options.data] - Request body
+ * @param {string} [options.accept] - Media type to request
+ * @returns {Promise<Object>} Axios response
+ */
+const request = async (method, path, { params, data, accept } = {}) => {
+  const url = path.startsWith('http') ? path : `${API_BASE_URL}${path}`;
+  const cacheKey = responseCache && method === 'get' ? axios.getUri({ url, params }) : null;
+  const cached = cacheKey && (responseCache.current[cacheKey] || responseCache.previous[cacheKey]);
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimitReset();
+    stats.requests++;
+    try {
+      const response = await axios.request({
+        method,
+        url,
+        params,
+        data,
+        headers: buildHeaders(accept, cached && cached.etag),
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: status => (status >= 200 && status < 300) || (Boolean(cached) && status === 304),
+      });
+      trackRateLimit(response);
+
+      if (response.status === 304) {
+        stats.notModified++;
+        responseCache.current[cacheKey] = cached;
+        return { ...response, status: 200, data: cached.data, headers: { ...response.headers, link: cached.link } };
+      }
+      if (cacheKey && response.headers.etag) {
+        responseCache.current[cacheKey] = { etag: response.headers.etag, link: response.headers.link || null, data: response.data };
+      }
+      return response;
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryable(error, method)) {
+        stats.failures++;
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      if (isRateLimited(error)) stats.rateLimitWaits++;
+      stats.retries++;
+      console.warn(`Retrying ${method.toUpperCase()} ${path} in ${Math.ceil(delay / 1000)}s (retry ${attempt + 1} of ${MAX_RETRIES}): ${error.message}`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Fetches every page of a GitHub list endpoint by following Link rel="next" headers.
+ * A failure on any page rejects the whole call so callers never act on a partial list.
+ * @param {string} path - API path, e.g. /orgs/my-org/members
+ * @param {Object} [options]
+ * @param {Object} [options.params] - Extra query parameters for the first request
+ * @param {string} [options.accept] - Media type to request
+ * @param {string} [options.itemsKey] - Property holding the items when the endpoint wraps them (e.g. 'seats')
+ * @returns {Promise<Array>} All items across all pages
+ */
+const paginate = async (path, { params = {}, accept, itemsKey } = {}) => {
+  const items = [];
+  let url = path;
+  let requestParams = { per_page: PER_PAGE, ...params };
+  let page = 1;
+
+  while (url) {
+    let response;
+    try {
+      response = await request('get', url, { params: requestParams, accept });
+    } catch (error) {
+      error.message = `Failed to fetch page ${page} of ${path}: ${error.message}`;
+      throw error;
+    }
+
+    items.push(...(itemsKey ? response.data[itemsKey] : response.data));
+
+    // The next page URL already carries the query string of the original request
+    url = getNextPageUrl(response.headers.link);
+    requestParams = undefined;
+    page++;
+  }
+
+  return items;
+};
+
+/**
+ * Maps over items with an async function, running at most `limit` calls at a time
+ * @param {Array} items - Items to process
+ * @param {Function} fn - Async function called with (item, index)
+ * @param {number} [limit] - Maximum number of concurrent calls
+ * @returns {Promise<Array>} Results in the same order as the input items
+ */
+const mapWithConcurrency = async (items, fn, limit = DEFAULT_CONCURRENCY) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Returns a copy of the request counters for this run
+ * @returns {Object} Request, retry, rate-limit wait, failure and not modified counts
+ */
+const getRequestStats = () => ({ ...stats });
+
+/**
+ * Prints the request counters for this run
+ */
+const logRequestSummary = () => {
+  console.log('\nGitHub API Request Summary:');
+  console.log(`Requests sent: ${stats.requests}`);
+  console.log(`Retries: ${stats.retries}`);
+  console.log(`Rate limit waits: ${stats.rateLimitWaits}`);
+  console.log(`Failed requests: ${stats.failures}`);
+  if (stats.notModified > 0) {
+    console.log(`Not modified since the last run (served from cache): ${stats.notModified}`);
+  }
+};
+
+module.exports = {
+  getNextPageUrl,
+  request,
+  useResponseCache,
+  getResponseCache,
+  paginate,
+  mapWithConcurrency,
+  getRequestStats,
+  logRequestSummary,
+};
@@ -0,0 +1,42 @@
+/**
+ * Classifies a seat by the date of its latest activity
+ * @param {Date|null} lastActivityDate - Latest activity, or null if none
+ * @param {Date} thresholdDate - Activity before this date makes the seat inactive
+ * @param {Date} warningThresholdDate - Activity before this date makes the user due for a warning
+ * @returns {string} 'No activity', 'Inactive', 'Warning' or 'Active'
+ */
+const getSeatStatus = (lastActivityDate, thresholdDate, warningThresholdDate) => {
+  if (lastActivityDate === null) return 'No activity';
+  if (lastActivityDate < thresholdDate) return 'Inactive';
+  if (lastActivityDate < warningThresholdDate) return 'Warning';
+  return 'Active';
+};
+
+/**
+ * Counts the full days since the latest activity
+ * @param {Date|null} lastActivityDate - Latest activity, or null if none
+ * @param {Date} today - Reference date
+ * @returns {number|string} Days inactive, or 'Never used' if the seat has no activity
+ */
+const getDaysInactive = (lastActivityDate, today) => (lastActivityDate ?
+  Math.floor((today - lastActivityDate) / (1000 * 60 * 60 * 24)) :
+  'Never used');
+
+/**
+ * Sorts users in place, longest inactive first with never used seats last
+ * @param {Array<Object>} users - Users with days_inactive
+ * @returns {Array<Object>} The sorted users
+ */
+const sortByInactivity = (users) => users
+  .sort((a, b) => {
+    const aNever = a.days_inactive === 'Never used';
+    const bNever = b.days_inactive === 'Never used';
+    if (aNever || bNever) return aNever - bNever;
+    return b.days_inactive - a.days_inactive;
+  });
+
+module.exports = {
+  getSeatStatus,
+  getDaysInactive,
+  sortByInactivity,
+};
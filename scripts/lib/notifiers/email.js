@@ -0,0 +1,105 @@
+// Import required dependencies
+const nodemailer = require('nodemailer');
+const { request } = require('../github-client');
+const { renderTemplate, buildUserVars } = require('./templates');
+
+const VERIFIED_EMAILS_QUERY = `
+  query($login: String!, $org: String!) {
+    user(login: $login) {
+      organizationVerifiedDomainEmails(login: $org)
+    }
+  }
+`;
+
+/**
+ * Looks up the email address of a user, preferring an email on one of the
+ * organization's verified domains over the public profile email
+ * @param {string} login - GitHub login of the user
+ * @param {string} org - Organization name
+ * @returns {Promise<string|null>} Email address or null if none is visible
+ */
+const getUserEmail = async (login, org) => {
+  try {
+    const response = await request('post', '/graphql', {
+      data: { query: VERIFIED_EMAILS_QUERY, variables: { login, org } },
+    });
+    const user = response.data.data && response.data.data.user;
+    if (user && user.organizationVerifiedDomainEmails.length > 0) {
+      return user.organizationVerifiedDomainEmails[0];
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not fetch verified emails for ${login}:`, error.message);
+  }
+
+  try {
+    const response = await request('get', `/users/${login}`);
+    return response.data.email || null;
+  } catch (error) {
+    console.warn(`Warning: Could not fetch profile of ${login}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Creates the SMTP transport from environment variables
+ * @returns {Object} Nodemailer transport
+ */
+const createTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587', 10), // Default to 587 if not set
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+});
+
+/**
+ * Emails each warned and removed user
+ * @param {Object} run - Run summary
+ * @param {Object} config - Notification config
+ * @returns {Promise<string>} 'sent', 'skipped' or 'failed' if any email could not be sent
+ */
+const notify = async (run, config) => {
+  if (!process.env.SMTP_HOST || !process.env.SMTP_FROM) {
+    console.warn('SMTP_HOST or SMTP_FROM is not set, skipping email notifications.');
+    return 'skipped';
+  }
+
+  const messages = [
+    ...run.warned.map(user => ({ user, kind: 'warned' })),
+    ...run.removed.map(user => ({ user, kind: 'removed' })),
+  ];
+  const transport = run.isDryRun ? null : createTransport();
+  let failures = 0;
+
+  for (const { user, kind } of messages) {
+    const email = await getUserEmail(user.login, run.org);
+    if (!email) {
+      console.warn(`Warning: No email address found for ${user.login}, skipping email.`);
+      continue;
+    }
+
+    const vars = buildUserVars(run, user);
+    const subject = renderTemplate(config.templates[`email_${kind}_subject`], vars);
+    const text = renderTemplate(config.templates[`email_${kind}_body`], vars);
+
+    if (run.isDryRun) {
+      console.log(`[DRY RUN] Would have emailed ${user.login} <${email}>: ${subject}`);
+      continue;
+    }
+
+    try {
+      await transport.sendMail({ from: process.env.SMTP_FROM, to: email, subject, text });
+      console.log(`Emailed ${user.login} <${email}>: ${subject}`);
+    } catch (error) {
+      failures++;
+      console.error(`Error emailing ${user.login}:`, error.message);
+    }
+  }
+
+  if (run.isDryRun) return 'skipped';
+  return failures > 0 ? 'failed' : 'sent';
+};
+
+module.exports = {
+  getUserEmail,
+  notify,
+};
@@ -0,0 +1,46 @@
+// Import required dependencies
+const { request, paginate } = require('../github-client');
+const { renderTemplate, buildRunVars } = require('./templates');
+
+const DEFAULT_ISSUE_LABEL = 'copilot-seat-cleaner';
+
+/**
+ * Opens an issue for the run that @-mentions affected users, or updates the issue
+ * opened by an earlier attempt of the same run
+ * @param {Object} run - Run summary
+ * @param {Object} config - Notification config
+ * @returns {Promise<string>} 'sent' or 'skipped'
+ */
+const notify = async (run, config) => {
+  const repository = process.env.GITHUB_REPOSITORY;
+  if (!repository) {
+    console.warn('GITHUB_REPOSITORY is not set, skipping GitHub issue notification.');
+    return 'skipped';
+  }
+
+  const vars = buildRunVars(run);
+  const label = config.issue_label || DEFAULT_ISSUE_LABEL;
+  const title = renderTemplate(config.templates.issue_title, vars);
+  const body = renderTemplate(config.templates.issue_body, vars);
+
+  if (run.isDryRun) {
+    console.log(`[DRY RUN] Would have opened or updated issue "${title}" in ${repository}`);
+    return 'skipped';
+  }
+
+  const openIssues = await paginate(`/repos/${repository}/issues`, { params: { state: 'open', labels: label } });
+  const existingIssue = openIssues.find(issue => issue.title === title);
+
+  if (existingIssue) {
+    await request('patch', `/repos/${repository}/issues/${existingIssue.number}`, { data: { body } });
+    console.log(`Updated issue #${existingIssue.number}: ${title}`);
+  } else {
+    const response = await request('post', `/repos/${repository}/issues`, { data: { title, body, labels: [label] } });
+    console.log(`Opened issue #${response.data.number}: ${title}`);
+  }
+  return 'sent';
+};
+
+module.exports = {
+  notify,
+};
@@ -0,0 +1,78 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+const githubIssue = require('./github-issue');
+const email = require('./email');
+const webhook = require('./webhook');
+
+const DEFAULT_NOTIFICATIONS_FILE = 'config/notifications.yml';
+
+// Available notification channels by name
+const adapters = {
+  'github-issue': githubIssue,
+  email,
+  webhook,
+};
+
+/**
+ * Loads the notification config listing enabled channels and message templates
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {{channels: Array<string>, issue_label: string, templates: Object}} Notification config
+ */
+const loadNotificationConfig = (filePath = process.env.NOTIFICATIONS_FILE || DEFAULT_NOTIFICATIONS_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No notification config found at ${filePath}, notifications are disabled.`);
+    return { channels: [], templates: {} };
+  }
+
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const unknownChannels = (config.channels || []).filter(channel => !adapters[channel]);
+  if (unknownChannels.length > 0) {
+    throw new Error(`Unknown notification channels in ${filePath}: ${unknownChannels.join(', ')}`);
+  }
+  return {
+    channels: config.channels || [],
+    issue_label: config.issue_label,
+    templates: config.templates || {},
+  };
+};
+
+/**
+ * Sends the run summary through every enabled channel. A failing channel is logged
+ * and does not stop the others or fail the run.
+ * @param {Object} run - Run summary
+ * @param {string} run.org - Organization name
+ * @param {Date} run.date - Reference date of the run
+ * @param {boolean} run.isDryRun - Whether messages should only be logged
+ * @param {Array<Object>} run.warned - Users warned this cycle
+ * @param {Array<Object>} run.removed - Users whose seat was removed
+ * @param {string} run.reportPath - Path of the Markdown report
+ * @param {number} run.graceDays - Days between a warning and the earliest removal
+ * @returns {Promise<Object>} Outcome per channel: 'sent', 'skipped' or 'failed'
+ */
+const sendNotifications = async (run) => {
+  const config = loadNotificationConfig();
+  const outcomes = {};
+
+  if (run.warned.length === 0 && run.removed.length === 0) {
+    console.log('No warned or removed users, skipping notifications.');
+    return outcomes;
+  }
+
+  for (const channel of config.channels) {
+    console.log(`\nSending notifications via ${channel}...`);
+    try {
+      outcomes[channel] = await adapters[channel].notify(run, config);
+    } catch (error) {
+      console.error(`Error sending notifications via ${channel}:`, error.message);
+      outcomes[channel] = 'failed';
+    }
+  }
+
+  return outcomes;
+};
+
+module.exports = {
+  loadNotificationConfig,
+  sendNotifications,
+};
@@ -0,0 +1,57 @@
+/**
+ * Renders a template by replacing {{placeholder}} occurrences with values
+ * @param {string} template - Template text
+ * @param {Object} vars - Placeholder values
+ * @returns {string} Rendered text; unknown placeholders render as empty strings
+ */
+const renderTemplate = (template, vars) =>
+  String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])));
+
+/**
+ * Formats users as a Markdown bullet list
+ * @param {Array<Object>} users - User records
+ * @param {Function} describe - Returns the text shown after each login
+ * @returns {string} Bullet list or "None"
+ */
+const formatUserList = (users, describe) =>
+  (users.length > 0 ? users.map(user => `- @${user.login} (${describe(user)})`).join('\n') : 'None');
+
+/**
+ * Builds the placeholder values describing a whole run
+ * @param {Object} run - Run summary passed to the notifiers
+ * @returns {Object} Placeholder values
+ */
+const buildRunVars = (run) => ({
+  org: run.org,
+  date: run.date.toISOString().slice(0, 10),
+  mode: run.isDryRun ? 'DRY RUN' : 'PRODUCTION',
+  report_path: run.reportPath,
+  grace_days: run.graceDays,
+  warned_count: run.warned.length,
+  removed_count: run.removed.length,
+  warned_mentions: run.warned.map(user => `@${user.login}`).join(' '),
+  removed_mentions: run.removed.map(user => `@${user.login}`).join(' '),
+  warned_list: formatUserList(run.warned, user => `${user.days_inactive} days inactive, removal after ${user.removal_after.slice(0, 10)}`),
+  removed_list: formatUserList(run.removed, user => `${user.days_inactive} days inactive`),
+});
+
+/**
+ * Builds the placeholder values for a message addressed to a single user
+ * @param {Object} run - Run summary passed to the notifiers
+ * @param {Object} user - User record
+ * @returns {Object} Placeholder values
+ */
+const buildUserVars = (run, user) => ({
+  ...buildRunVars(run),
+  login: user.login,
+  days_inactive: user.days_inactive,
+  last_used: user.last_used,
+  removal_after: user.removal_after ? user.removal_after.slice(0, 10) : '',
+});
+
+module.exports = {
+  renderTemplate,
+  buildRunVars,
+  buildUserVars,
+};
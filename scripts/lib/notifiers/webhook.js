@@ -0,0 +1,36 @@
+// Import required dependencies
+const axios = require('axios');
+const { renderTemplate, buildRunVars } = require('./templates');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Posts the run summary to a Slack or Teams incoming webhook
+ * @param {Object} run - Run summary
+ * @param {Object} config - Notification config
+ * @returns {Promise<string>} 'sent' or 'skipped'
+ */
+const notify = async (run, config) => {
+  const webhookUrl = process.env.NOTIFY_WEBHOOK_URL;
+  if (!webhookUrl) {
+    console.warn('NOTIFY_WEBHOOK_URL is not set, skipping webhook notification.');
+    return 'skipped';
+  }
+
+  // Both Slack and Teams incoming webhooks accept a plain text payload
+  const text = renderTemplate(config.templates.webhook_text, buildRunVars(run));
+
+  if (run.isDryRun) {
+    console.log('[DRY RUN] Would have posted to webhook:');
+    console.log(text);
+    return 'skipped';
+  }
+
+  await axios.post(webhookUrl, { text }, { timeout: REQUEST_TIMEOUT_MS });
+  console.log('Posted run summary to webhook.');
+  return 'sent';
+};
+
+module.exports = {
+  notify,
+};
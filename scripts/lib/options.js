@@ -0,0 +1,44 @@
+// Directory the usage check writes its results to and the removal step reads them from
+const DEFAULT_WORK_DIR = '.github/scripts';
+
+/**
+ * Parses the reference date of a run, given as "YYYY-MM-DD HH:MM:SS" in UTC
+ * @param {string} [value] - Date string, defaults to the CURRENT_DATE environment variable
+ * @returns {Date} Reference date, or now if no date is given
+ */
+const parseReferenceDate = (value = process.env.CURRENT_DATE) =>
+  (value ? new Date(value.replace(' ', 'T') + 'Z') : new Date());
+
+/**
+ * Resolves dry run mode; runs are dry unless explicitly applied
+ * @param {boolean} [dryRun] - Explicit setting, defaults to the DRY_RUN environment variable
+ * @returns {boolean} True for a dry run
+ */
+const resolveDryRun = (dryRun) => (dryRun === undefined ? process.env.DRY_RUN !== 'false' : dryRun);
+
+/**
+ * Resolves approval mode, in which removals wait for an approved manifest
+ * @param {boolean} [approval] - Explicit setting, defaults to the APPROVAL_MODE environment variable
+ * @returns {boolean} True when removals need approval
+ */
+const resolveApprovalMode = (approval) => (approval === undefined ? process.env.APPROVAL_MODE === 'true' : approval);
+
+/**
+ * Resolves the organization name and fails early when it is missing
+ * @param {string} [org] - Explicit organization, defaults to the ORG_NAME environment variable
+ * @returns {string} Organization name
+ */
+const resolveOrg = (org = process.env.ORG_NAME) => {
+  if (!org) {
+    throw new Error('Organization name is required: pass --org or set ORG_NAME.');
+  }
+  return org;
+};
+
+module.exports = {
+  DEFAULT_WORK_DIR,
+  parseReferenceDate,
+  resolveDryRun,
+  resolveApprovalMode,
+  resolveOrg,
+};
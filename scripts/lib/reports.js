@@ -0,0 +1,396 @@
+// Import required dependencies
+const { formatEditors, formatInactiveRate } = require('./breakdown');
+const { formatMoney, describeSavings } = require('./savings');
+const { countChanges } = require('./state-cache');
+
+// Columns of the inactive users listing printed and written by the usage check
+const INACTIVE_USERS_COLUMNS = ['User Login', 'Status', 'Days Inactive', 'Teams', 'Last Usage Date', 'Activity'];
+
+// Columns of the per-team usage breakdown
+const TEAM_BREAKDOWN_COLUMNS = ['Team', 'Seats', 'Active', 'Warning', 'Inactive', 'Inactive %', 'Editors'];
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break (RFC 4180)
+ * @param {*} value - Field value; null and undefined become an empty field
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats rows as RFC 4180 CSV with CRLF line breaks
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array<*>>} rows - Field values per row
+ * @returns {string} CSV content with a header row
+ */
+const formatCsv = (columns, rows) => [columns, ...rows]
+  .map(row => row.map(toCsvField).join(','))
+  .join('\r\n') + '\r\n';
+
+/**
+ * Escapes text for a Markdown table cell, so pipes, backslashes, HTML and line breaks in
+ * user-controlled values (team names, error messages) cannot break the table
+ * @param {*} value - Cell value; null and undefined become an empty cell
+ * @returns {string} Escaped cell text
+ */
+const escapeMarkdown = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/\r?\n|\r/g, ' ');
+};
+
+/**
+ * Formats rows as a Markdown table with escaped cells
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array<*>>} rows - Cell values per row
+ * @returns {string} Markdown table without a trailing line break
+ */
+const formatMarkdownTable = (columns, rows) => [
+  `| ${columns.map(escapeMarkdown).join(' | ')} |`,
+  `|${columns.map(column => '-'.repeat(column.length + 2)).join('|')}|`,
+  ...rows.map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`)
+].join('\n');
+
+/**
+ * Escapes text for HTML element content and attribute values
+ * @param {*} value - Text; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Formats rows as an HTML table whose columns sort when their header is clicked
+ * @param {Array<string>} columns - Header row
+ * @param {Array<Array<*>>} rows - Cell values per row
+ * @returns {string} HTML table
+ */
+const formatHtmlTable = (columns, rows) => `<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+/**
+ * Renders a report section as Markdown
+ * @param {Object} section - Report section
+ * @param {string} section.title - Section heading
+ * @param {Array<string>} [section.items] - Bullet points
+ * @param {Array<string>} [section.columns] - Table header, if the section has a table
+ * @param {Array<Array<*>>} [section.rows] - Table rows
+ * @returns {string} Markdown section
+ */
+const formatMarkdownSection = ({ title, items = [], columns, rows = [] }) => [
+  `## ${title}`,
+  ...items.map(item => `- ${item}`),
+  ...(columns ? [formatMarkdownTable(columns, rows)] : [])
+].join('\n') + '\n';
+
+/**
+ * Renders a report section as HTML
+ * @param {Object} section - Report section, see formatMarkdownSection
+ * @returns {string} HTML section
+ */
+const formatHtmlSection = ({ title, items = [], columns, rows = [] }) => `<section>
+<h2>${escapeHtml(title)}</h2>
+${items.length > 0 ? `<ul>\n${items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n')}\n</ul>\n` : ''}\
+${columns ? `${formatHtmlTable(columns, rows)}\n` : ''}</section>
+`;
+
+/**
+ * Renders a report as Markdown
+ * @param {Object} report - Report content
+ * @param {string} report.title - Report heading
+ * @param {Array<Object>} report.sections - Sections, see formatMarkdownSection
+ * @returns {string} Markdown report
+ */
+const formatMarkdownReport = ({ title, sections }) => `# ${title}
+
+${sections.map(formatMarkdownSection).join('\n')}`;
+
+// Styles and scripts inlined into HTML reports, so a report opens from an artifact without network access
+const HTML_REPORT_STYLE = `body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+table { border-collapse: collapse; margin-bottom: 1rem; }
+th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; }
+th[data-order="asc"]::after { content: " \\25B2"; }
+th[data-order="desc"]::after { content: " \\25BC"; }
+#filter { padding: 4px 8px; width: 20rem; margin-bottom: 1rem; }`;
+
+const HTML_REPORT_SCRIPT = `document.querySelectorAll('th').forEach((header) => {
+  header.addEventListener('click', () => {
+    const table = header.closest('table');
+    const body = table.tBodies[0];
+    const index = header.cellIndex;
+    const order = header.dataset.order === 'asc' ? 'desc' : 'asc';
+    table.querySelectorAll('th').forEach(other => delete other.dataset.order);
+    header.dataset.order = order;
+    const rows = Array.from(body.rows).sort((a, b) => a.cells[index].textContent
+      .localeCompare(b.cells[index].textContent, undefined, { numeric: true, sensitivity: 'base' }));
+    if (order === 'desc') rows.reverse();
+    rows.forEach(row => body.appendChild(row));
+  });
+});
+document.getElementById('filter').addEventListener('input', (event) => {
+  const text = event.target.value.toLowerCase();
+  document.querySelectorAll('tbody tr').forEach(row => {
+    row.hidden = text !== '' && !row.textContent.toLowerCase().includes(text);
+  });
+});`;
+
+/**
+ * Renders a report as a self-contained HTML page with sortable columns and a row filter
+ * @param {Object} report - Report content, see formatMarkdownReport
+ * @returns {string} HTML report
+ */
+const formatHtmlReport = ({ title, sections }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${HTML_REPORT_STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<input id="filter" type="search" placeholder="Filter rows">
+${sections.map(formatHtmlSection).join('')}\
+<script>
+${HTML_REPORT_SCRIPT}
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Adds a section to a Markdown report, replacing an earlier section with the same title,
+ * so a step that runs again does not leave its outdated results behind
+ * @param {string} markdown - Markdown report
+ * @param {Object} section - Report section, see formatMarkdownSection
+ * @returns {string} Markdown report with the section in place of the earlier one, or after the existing ones
+ */
+const setMarkdownSection = (markdown, section) => {
+  const content = `\n${formatMarkdownSection(section)}`;
+  const start = markdown.indexOf(`\n## ${section.title}\n`);
+  if (start === -1) {
+    return `${markdown}${content}`;
+  }
+  const end = markdown.indexOf('\n## ', start + 1);
+  return `${markdown.slice(0, start)}${content}${end === -1 ? '' : markdown.slice(end)}`;
+};
+
+/**
+ * Adds a section to an HTML report written by formatHtmlReport, replacing an earlier section with the same title
+ * @param {string} html - HTML report
+ * @param {Object} section - Report section, see formatMarkdownSection
+ * @returns {string} HTML report with the section in place of the earlier one, or after the existing ones
+ */
+const setHtmlSection = (html, section) => {
+  const start = html.indexOf(`<section>\n<h2>${escapeHtml(section.title)}</h2>\n`);
+  if (start === -1) {
+    return html.replace('<script>', () => `${formatHtmlSection(section)}<script>`);
+  }
+  const end = html.indexOf('</section>\n', start) + '</section>\n'.length;
+  return `${html.slice(0, start)}${formatHtmlSection(section)}${html.slice(end)}`;
+};
+
+/**
+ * Lists the fields of an inactive user in the order of INACTIVE_USERS_COLUMNS
+ * @param {Object} user - Inactive user record from the usage check
+ * @returns {Array<*>} Field values
+ */
+const toInactiveUserRow = (user) => [
+  user.login,
+  user.status,
+  user.days_inactive,
+  user.team,
+  user.last_used,
+  user.activity_reason || ''
+];
+
+/**
+ * Lists the fields of a breakdown row in the order of TEAM_BREAKDOWN_COLUMNS
+ * @param {Object} row - Breakdown row
+ * @returns {Array<*>} Field values
+ */
+const toTeamBreakdownRow = (row) => [
+  row.team,
+  row.seats,
+  row.active,
+  row.warning,
+  row.inactive,
+  formatInactiveRate(row),
+  formatEditors(row.editors)
+];
+
+/**
+ * Formats inactive users as CSV
+ * @param {Array<Object>} users - Inactive user records from the usage check
+ * @returns {string} CSV content with a header row
+ */
+const formatInactiveUsersCsv = (users) => formatCsv(INACTIVE_USERS_COLUMNS, users.map(toInactiveUserRow));
+
+/**
+ * Formats the per-team usage breakdown as CSV
+ * @param {Array<Object>} rows - Breakdown rows, including the total
+ * @returns {string} CSV content with a header row
+ */
+const formatTeamBreakdownCsv = (rows) => formatCsv(TEAM_BREAKDOWN_COLUMNS, rows.map(toTeamBreakdownRow));
+
+/**
+ * Builds the content of a removal run report, shared by the Markdown and HTML formats
+ * @param {Object} report - Run details
+ * @param {Date} report.date - Reference date of the run
+ * @param {boolean} report.isDryRun - Whether the run only logged what would change
+ * @param {string} report.safetyLimits - Description of the safety limits
+ * @param {string} [report.warningState] - Where the warnings of the run are kept
+ * @param {string} report.approval - Description of the approval state
+ * @param {Object} report.results - Users by outcome: successful, failed, skipped and warned
+ * @param {string|null} report.stoppedReason - Why removals were stopped, if they were
+ * @param {Object} report.planPricing - Copilot plan and seat price
+ * @param {Object} report.runSavings - Savings of this run
+ * @param {Object} report.cumulativeSavings - Savings of all production runs
+ * @param {Array<Object>} report.breakdownRows - Per-team usage rows, including the total
+ * @param {Array<Object>} report.expiredExemptions - Exemptions that have expired
+ * @param {Array<Object>|null} [report.changes] - Seat changes since the previous check, null without a previous snapshot
+ * @param {string|null} [report.previousCheckAt] - Date of the previous check
+ * @returns {{title: string, sections: Array<Object>}} Report content
+ */
+const buildRemovalReport = ({
+  date,
+  isDryRun,
+  safetyLimits,
+  warningState = null,
+  approval,
+  results,
+  stoppedReason,
+  planPricing,
+  runSavings,
+  cumulativeSavings,
+  breakdownRows,
+  expiredExemptions,
+  changes = null,
+  previousCheckAt = null
+}) => ({
+  title: 'GitHub Copilot Access Removal Report',
+  sections: [
+    {
+      title: 'Process Information',
+      items: [
+        `Date: ${date.toUTCString()}`,
+        `Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}`,
+        `Safety Limits: ${safetyLimits}`,
+        ...(warningState ? [`Warning State: ${warningState}`] : []),
+        `Approval: ${approval}`
+      ]
+    },
+    {
+      title: 'Summary',
+      items: [
+        `Successfully Processed: ${results.successful.length} users`,
+        `Failed to Process: ${results.failed.length} users`,
+        `Skipped: ${results.skipped.length} users`,
+        `Warned: ${results.warned.length} users`,
+        ...(stoppedReason ? [`Stopped: ${stoppedReason}`] : [])
+      ]
+    },
+    {
+      title: 'Cost Savings',
+      items: [
+        `Copilot Plan: ${planPricing.plan} (${formatMoney(planPricing.seat_price, planPricing.currency)} per seat per month)`,
+        `${isDryRun ? 'Would Save This Run' : 'Saved This Run'}: ${describeSavings(runSavings)}`,
+        `Cumulative Savings (all production runs, net of restores): ${describeSavings(cumulativeSavings)}`
+      ]
+    },
+    {
+      title: 'Team Breakdown',
+      columns: TEAM_BREAKDOWN_COLUMNS,
+      rows: breakdownRows.map(toTeamBreakdownRow)
+    },
+    changes ? {
+      title: 'Changes Since the Previous Check',
+      items: [
+        `Previous Check: ${new Date(previousCheckAt).toUTCString()}`,
+        ...Object.entries(countChanges(changes)).map(([change, count]) => `${change}: ${count}`)
+      ],
+      columns: ['User Login', 'Change', 'Details'],
+      rows: changes.map(entry => [entry.login, entry.change, entry.details])
+    } : {
+      title: 'Changes Since the Previous Check',
+      items: ['No previous check recorded, changes are reported from the next run on']
+    },
+    {
+      title: 'Successfully Processed Users',
+      columns: INACTIVE_USERS_COLUMNS,
+      rows: results.successful.map(toInactiveUserRow)
+    },
+    {
+      title: 'Failed to Process',
+      columns: [...INACTIVE_USERS_COLUMNS, 'Error'],
+      rows: results.failed.map(user => [...toInactiveUserRow(user), user.error || ''])
+    },
+    {
+      title: 'Skipped Users',
+      columns: [...INACTIVE_USERS_COLUMNS, 'Reason'],
+      rows: results.skipped.map(user => [...toInactiveUserRow(user), user.reason])
+    },
+    {
+      title: 'Warned This Cycle',
+      columns: [...INACTIVE_USERS_COLUMNS, 'Earliest Removal', 'Reason'],
+      rows: results.warned.map(user => [...toInactiveUserRow(user), user.removal_after, user.reason || ''])
+    },
+    expiredExemptions.length > 0 ? {
+      title: 'Expired Exemptions',
+      columns: ['Type', 'Name', 'Reason', 'Expired On'],
+      rows: expiredExemptions.map(entry => [entry.type, entry.name, entry.reason, entry.expires.toISOString().slice(0, 10)])
+    } : {
+      title: 'Expired Exemptions',
+      items: ['None']
+    }
+  ]
+});
+
+/**
+ * Renders the Markdown report of a removal run
+ * @param {Object} report - Run details, see buildRemovalReport
+ * @returns {string} Markdown report
+ */
+const formatRemovalReport = (report) => formatMarkdownReport(buildRemovalReport(report));
+
+/**
+ * Renders the HTML report of a removal run
+ * @param {Object} report - Run details, see buildRemovalReport
+ * @returns {string} HTML report
+ */
+const formatRemovalHtmlReport = (report) => formatHtmlReport(buildRemovalReport(report));
+
+module.exports = {
+  formatCsv,
+  escapeMarkdown,
+  formatMarkdownTable,
+  escapeHtml,
+  formatMarkdownReport,
+  formatHtmlReport,
+  setMarkdownSection,
+  setHtmlSection,
+  formatInactiveUsersCsv,
+  formatTeamBreakdownCsv,
+  formatRemovalReport,
+  formatRemovalHtmlReport,
+};
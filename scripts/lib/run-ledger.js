@@ -0,0 +1,177 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+const { formatCsv } = require('./reports');
+
+const DEFAULT_REPORT_DIR = 'clean-logs';
+
+// Bump when the ledger layout changes in a way readers need to know about
+const LEDGER_SCHEMA_VERSION = 2;
+
+// Columns of the CSV ledger, one row per user entry
+const CSV_COLUMNS = [
+  'login',
+  'action',
+  'outcome',
+  'reason',
+  'error',
+  'api_status',
+  'status',
+  'activity_reason',
+  'days_inactive',
+  'last_activity_at',
+  'team',
+  'copilot_teams',
+];
+
+// Ledgers are named after the run timestamp, e.g. 2025-02-28_00_00_00_UTC.json,
+// with a _restore suffix for restore runs
+const RUN_LEDGER_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}_\d{2}_\d{2}_UTC\.json$/;
+const RESTORE_LEDGER_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}_\d{2}_\d{2}_UTC_restore\.json$/;
+
+// Markdown reports of removal runs, written before runs kept a ledger
+const RUN_REPORT_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}_\d{2}_\d{2}_UTC\.md$/;
+
+/**
+ * Formats a date as the file-name-safe timestamp used for reports and ledgers
+ * @param {Date} date - Reference date of the run
+ * @returns {string} Timestamp such as 2025-02-28_00_00_00_UTC
+ */
+const formatRunTimestamp = (date) => date.toISOString()
+  .replace(/[:]/g, '_')
+  .replace(/[T]/g, '_')
+  .replace(/[.]\d{3}Z$/, '_UTC');
+
+/**
+ * Builds the ledger entry recording what happened to a single user
+ * @param {Object} user - User record from the usage check
+ * @param {string} action - Attempted action: 'remove', 'warn', 'skip', 'restore' or 'grant'
+ * @param {string} outcome - 'success', 'failed', 'dry_run' or 'skipped'
+ * @param {Object} [details]
+ * @param {string} [details.reason] - Why the user was skipped, or warned instead of removed
+ * @param {Array<Object>} [details.copilotTeams] - Copilot teams the user was removed from or restored to,
+ *   or granting the seat of a user who kept it
+ * @returns {Object} Ledger entry
+ */
+const buildLedgerEntry = (user, action, outcome, { reason, copilotTeams } = {}) => ({
+  login: user.login,
+  action,
+  outcome,
+  reason: reason || null,
+  error: user.error || null,
+  api_status: user.api_status || null,
+  status: user.status || null,
+  activity_reason: user.activity_reason || null,
+  days_inactive: user.days_inactive === undefined ? null : user.days_inactive,
+  last_activity_at: user.last_activity_at || null,
+  team: user.team || null,
+  copilot_teams: copilotTeams || [],
+});
+
+/**
+ * Reduces Copilot teams to the name and slug recorded in ledgers
+ * @param {Array<Object>} [teams] - Copilot teams of a user
+ * @returns {Array<{name: string, slug: string}>} Ledger teams
+ */
+const toLedgerTeams = (teams) => (teams || []).map(team => ({ name: team.name, slug: team.slug }));
+
+/**
+ * Formats the user entries of a ledger as CSV
+ * @param {Object} ledger - Run record
+ * @returns {string} CSV content with a header row
+ */
+const formatLedgerCsv = (ledger) => formatCsv(CSV_COLUMNS, ledger.users.map(entry => CSV_COLUMNS.map(column =>
+  (Array.isArray(entry[column]) ? entry[column].map(team => team.name).join('; ') : entry[column]))));
+
+/**
+ * Writes the machine-readable record of a run as JSON, plus its user entries as CSV
+ * @param {Object} ledger - Run record
+ * @param {string} timestamp - Run timestamp from formatRunTimestamp
+ * @param {string} [reportDir] - Directory holding reports and ledgers
+ * @returns {{jsonPath: string, csvPath: string}} Paths of the written ledger files
+ */
+const writeRunLedger = (ledger, timestamp, reportDir = DEFAULT_REPORT_DIR) => {
+  fs.mkdirSync(reportDir, { recursive: true });
+
+  const jsonPath = path.join(reportDir, `${timestamp}.json`);
+  fs.writeFileSync(jsonPath, JSON.stringify({ schema_version: LEDGER_SCHEMA_VERSION, ...ledger }, null, 2));
+
+  const csvPath = path.join(reportDir, `${timestamp}.csv`);
+  fs.writeFileSync(csvPath, formatLedgerCsv(ledger));
+
+  return { jsonPath, csvPath };
+};
+
+/**
+ * Lists ledger files matching a name pattern, oldest first
+ * @param {string} reportDir - Directory holding reports and ledgers
+ * @param {RegExp} pattern - File name pattern
+ * @returns {Array<string>} Ledger paths
+ */
+const listLedgers = (reportDir, pattern) => {
+  if (!fs.existsSync(reportDir)) return [];
+  return fs.readdirSync(reportDir)
+    .filter(file => pattern.test(file))
+    .sort()
+    .map(file => path.join(reportDir, file));
+};
+
+/**
+ * Lists the ledgers of all previous removal runs, oldest first
+ * @param {string} [reportDir] - Directory holding reports and ledgers
+ * @returns {Array<string>} Ledger paths
+ */
+const listRunLedgers = (reportDir = DEFAULT_REPORT_DIR) => listLedgers(reportDir, RUN_LEDGER_PATTERN);
+
+/**
+ * Lists the ledgers of all previous restore runs, oldest first
+ * @param {string} [reportDir] - Directory holding reports and ledgers
+ * @returns {Array<string>} Ledger paths
+ */
+const listRestoreLedgers = (reportDir = DEFAULT_REPORT_DIR) => listLedgers(reportDir, RESTORE_LEDGER_PATTERN);
+
+/**
+ * Lists the Markdown reports of removal runs that have no ledger, oldest first
+ * @param {string} [reportDir] - Directory holding reports and ledgers
+ * @returns {Array<string>} Report paths
+ */
+const listLegacyReports = (reportDir = DEFAULT_REPORT_DIR) => listLedgers(reportDir, RUN_REPORT_PATTERN)
+  .filter(reportPath => !fs.existsSync(reportPath.replace(/\.md$/, '.json')));
+
+/**
+ * Lists the Copilot teams recorded for a user entry, reading the single copilot_team of
+ * schema version 1 ledgers as well
+ * @param {Object} entry - User entry from a run ledger
+ * @returns {Array<{name: string, slug: string}>} Copilot teams
+ */
+const getEntryCopilotTeams = (entry) => {
+  if (entry.copilot_teams) return entry.copilot_teams;
+  return entry.copilot_team ? [entry.copilot_team] : [];
+};
+
+/**
+ * Reads a run ledger
+ * @param {string} ledgerPath - Path of the ledger
+ * @returns {Object} Run record
+ */
+const loadRunLedger = (ledgerPath) => {
+  if (!fs.existsSync(ledgerPath)) {
+    throw new Error(`Run ledger not found: ${ledgerPath}`);
+  }
+  return JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+};
+
+module.exports = {
+  DEFAULT_REPORT_DIR,
+  LEDGER_SCHEMA_VERSION,
+  formatRunTimestamp,
+  buildLedgerEntry,
+  toLedgerTeams,
+  formatLedgerCsv,
+  writeRunLedger,
+  listRunLedgers,
+  listRestoreLedgers,
+  listLegacyReports,
+  loadRunLedger,
+  getEntryCopilotTeams,
+};
@@ -0,0 +1,72 @@
+/**
+ * Loads the guardrails limiting how much a single removal run can revoke; 0 disables a limit
+ * @returns {{maxRemovals: number, maxRemovalPercent: number, maxConsecutiveFailures: number}} Safety limits
+ */
+const loadSafetyLimits = () => ({
+  maxRemovals: parseInt(process.env.MAX_REMOVALS_PER_RUN || '50', 10), // Default to 50 if not set
+  maxRemovalPercent: parseFloat(process.env.MAX_REMOVAL_PERCENT || '20'), // Default to 20 if not set
+  maxConsecutiveFailures: parseInt(process.env.MAX_CONSECUTIVE_FAILURES || '3', 10), // Default to 3 if not set
+});
+
+/**
+ * Describes the safety limits for logs and reports
+ * @param {Object} limits - Result of loadSafetyLimits
+ * @returns {string} Description such as "at most 50 removals or 20% of seats per run, stop after 3 consecutive API failures"
+ */
+const describeSafetyLimits = (limits) => {
+  const caps = [
+    limits.maxRemovals > 0 ? `${limits.maxRemovals} removals` : null,
+    limits.maxRemovalPercent > 0 ? `${limits.maxRemovalPercent}% of seats` : null,
+  ].filter(Boolean);
+  return [
+    caps.length > 0 ? `at most ${caps.join(' or ')} per run` : 'no removal cap',
+    limits.maxConsecutiveFailures > 0 ? `stop after ${limits.maxConsecutiveFailures} consecutive API failures` : 'no circuit breaker',
+  ].join(', ');
+};
+
+/**
+ * Checks the planned removals of a run against the removal caps
+ * @param {number} removals - Number of seats the run is about to remove
+ * @param {number|null} totalSeats - Seats billed to the organization, or null if unknown
+ * @param {Object} limits - Result of loadSafetyLimits
+ * @returns {string|null} Reason the run must be aborted, or null if it is within the caps
+ */
+const findRemovalCapExceeded = (removals, totalSeats, limits) => {
+  if (limits.maxRemovals > 0 && removals > limits.maxRemovals) {
+    return `Run aborted: ${removals} removals exceed the cap of ${limits.maxRemovals} per run (MAX_REMOVALS_PER_RUN)`;
+  }
+  // Without the seat total the percentage cap cannot be checked, so it must not be skipped silently
+  if (limits.maxRemovalPercent > 0 && removals > 0 && !(totalSeats > 0)) {
+    return `Run aborted: the number of Copilot seats is unknown, so the cap of ${limits.maxRemovalPercent}% (MAX_REMOVAL_PERCENT) cannot be checked`;
+  }
+  if (limits.maxRemovalPercent > 0 && totalSeats > 0 && (removals / totalSeats) * 100 > limits.maxRemovalPercent) {
+    return `Run aborted: ${removals} removals are ${((removals / totalSeats) * 100).toFixed(1)}% of ${totalSeats} seats, above the cap of ${limits.maxRemovalPercent}% (MAX_REMOVAL_PERCENT)`;
+  }
+  return null;
+};
+
+/**
+ * Compares a freshly fetched seat with the usage check's record of the user
+ * @param {Object} user - Inactive user record from the usage check
+ * @param {Object|null} seat - Current Copilot seat of the user, or null if they hold none
+ * @returns {string|null} Reason the seat must not be removed anymore, or null if it still can be
+ */
+const findSeatChange = (user, seat) => {
+  if (!seat) {
+    return 'No Copilot seat anymore, nothing to remove';
+  }
+  if (seat.last_activity_at && (!user.last_activity_at || new Date(seat.last_activity_at) > new Date(user.last_activity_at))) {
+    return `Active since the check: last Copilot activity on ${seat.last_activity_at}`;
+  }
+  if (seat.pending_cancellation_date) {
+    return `Seat already pending cancellation on ${seat.pending_cancellation_date}`;
+  }
+  return null;
+};
+
+module.exports = {
+  loadSafetyLimits,
+  describeSafetyLimits,
+  findRemovalCapExceeded,
+  findSeatChange,
+};
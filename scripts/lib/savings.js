@@ -0,0 +1,115 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const DEFAULT_PRICING_FILE = 'config/pricing.yml';
+
+// List prices used when no pricing config is present
+const DEFAULT_PRICING = {
+  currency: 'USD',
+  plans: { business: 19, enterprise: 39 },
+  plan: null,
+  default_plan: 'business',
+};
+
+/**
+ * Loads the per-seat pricing config
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {Object} Pricing config with currency, plan prices and plan selection
+ */
+const loadPricing = (filePath = process.env.PRICING_FILE || DEFAULT_PRICING_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No pricing config found at ${filePath}, using list prices.`);
+    return DEFAULT_PRICING;
+  }
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  return {
+    currency: config.currency || DEFAULT_PRICING.currency,
+    plans: { ...DEFAULT_PRICING.plans, ...config.plans },
+    plan: config.plan || null,
+    default_plan: config.default_plan || DEFAULT_PRICING.default_plan,
+  };
+};
+
+/**
+ * Determines the Copilot plan and seat price, preferring the configured plan, then the
+ * plan reported by the billing API, then the configured default
+ * @param {Object} pricing - Result of loadPricing
+ * @param {Object} [billing] - Copilot billing information of the organization
+ * @returns {{plan: string, seat_price: number, currency: string}} Plan pricing
+ */
+const resolvePlanPricing = (pricing, billing) => {
+  const plan = pricing.plan || (billing && billing.plan_type) || pricing.default_plan;
+  const seatPrice = pricing.plans[plan];
+  if (seatPrice === undefined) {
+    throw new Error(`No seat price configured for Copilot plan: ${plan}`);
+  }
+  return { plan, seat_price: seatPrice, currency: pricing.currency };
+};
+
+/**
+ * Estimates the monthly and annualized savings of removing seats
+ * @param {number} seats - Number of seats removed
+ * @param {Object} planPricing - Result of resolvePlanPricing
+ * @returns {Object} Plan pricing with seat count, monthly and annual savings
+ */
+const estimateSavings = (seats, planPricing) => ({
+  ...planPricing,
+  seats,
+  monthly: seats * planPricing.seat_price,
+  annual: seats * planPricing.seat_price * 12,
+});
+
+/**
+ * Adds up the savings of all previous production removal runs, net of restored seats
+ * @param {Array<Object>} removalLedgers - Ledgers of previous removal runs
+ * @param {Array<Object>} restoreLedgers - Ledgers of previous restore runs
+ * @param {Object} planPricing - Current plan pricing, used for runs without recorded savings
+ * @returns {Object} Cumulative seat count, monthly and annual savings
+ */
+const getCumulativeSavings = (removalLedgers, restoreLedgers, planPricing) => {
+  const productionRuns = (ledgers) => ledgers.filter(ledger => !ledger.dry_run);
+
+  const removed = productionRuns(removalLedgers).reduce((total, ledger) => {
+    const savings = ledger.savings || estimateSavings(ledger.summary ? ledger.summary.removed : 0, planPricing);
+    return { seats: total.seats + savings.seats, monthly: total.monthly + savings.monthly };
+  }, { seats: 0, monthly: 0 });
+
+  const restoredSeats = productionRuns(restoreLedgers)
+    .reduce((total, ledger) => total + (ledger.summary ? ledger.summary.restored : 0), 0);
+  const restored = estimateSavings(restoredSeats, planPricing);
+
+  const monthly = removed.monthly - restored.monthly;
+  return {
+    ...planPricing,
+    seats: removed.seats - restored.seats,
+    monthly,
+    annual: monthly * 12,
+  };
+};
+
+/**
+ * Formats an amount of money for reports
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} Formatted amount, e.g. "$1,140.00"
+ */
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+/**
+ * Describes savings in one line for logs and reports
+ * @param {Object} savings - Result of estimateSavings or getCumulativeSavings
+ * @returns {string} Summary such as "3 seats, $57.00/month, $684.00/year"
+ */
+const describeSavings = (savings) =>
+  `${savings.seats} seats, ${formatMoney(savings.monthly, savings.currency)}/month, ${formatMoney(savings.annual, savings.currency)}/year`;
+
+module.exports = {
+  loadPricing,
+  resolvePlanPricing,
+  estimateSavings,
+  getCumulativeSavings,
+  formatMoney,
+  describeSavings,
+};
@@ -0,0 +1,147 @@
+// Import required dependencies
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { request, paginate } = require('./github-client');
+
+const DEFAULT_SEAT_QUEUE_FILE = 'config/seat-queue.yml';
+
+const QUEUE_SOURCES = ['file', 'issues'];
+const QUEUE_ORDERS = ['fifo', 'priority'];
+const GRANT_METHODS = ['selected_users', 'team'];
+
+/**
+ * Validates a setting of the seat queue config
+ * @param {string} value - Configured value
+ * @param {Array<string>} allowed - Allowed values
+ * @param {string} name - Setting name, for error messages
+ * @returns {string} The value
+ */
+const validateSetting = (value, allowed, name) => {
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid seat queue ${name}: ${value}. Use ${allowed.join(' or ')}.`);
+  }
+  return value;
+};
+
+/**
+ * Loads the seat queue config: where waiting users come from, their order and how seats are granted
+ * @param {string} [filePath] - Path of the YAML config file
+ * @returns {Object|null} Seat queue config, or null if there is none
+ */
+const loadSeatQueueConfig = (filePath = process.env.SEAT_QUEUE_FILE || DEFAULT_SEAT_QUEUE_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No seat queue config found at ${filePath}, freed seats are not reassigned.`);
+    return null;
+  }
+
+  const config = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const issues = config.issues || {};
+  const seatQueue = {
+    source: validateSetting(config.source || 'file', QUEUE_SOURCES, 'source'),
+    order: validateSetting(config.order || 'fifo', QUEUE_ORDERS, 'order'),
+    grant_via: validateSetting(config.grant_via || 'selected_users', GRANT_METHODS, 'grant_via'),
+    team_slug: config.team_slug || null,
+    issues: {
+      label: issues.label || 'copilot-seat-request',
+      priority_labels: issues.priority_labels || {},
+    },
+    users: (config.users || []).map(entry => {
+      if (!entry || !entry.login) {
+        throw new Error(`Invalid seat queue entry, missing "login": ${JSON.stringify(entry)}`);
+      }
+      return {
+        login: String(entry.login),
+        requested_at: entry.requested_at ? new Date(entry.requested_at).toISOString() : null,
+        priority: parseInt(entry.priority || 0, 10),
+        issue: null,
+      };
+    }),
+  };
+  if (seatQueue.grant_via === 'team' && !seatQueue.team_slug) {
+    throw new Error('Seat queue grant_via is team but no team_slug is set.');
+  }
+  console.log(`Loaded seat queue config from ${filePath}: ${seatQueue.source} source, ${seatQueue.order} order, granted via ${seatQueue.grant_via === 'team' ? `team ${seatQueue.team_slug}` : 'selected_users'}`);
+  return seatQueue;
+};
+
+/**
+ * Reads the waiting users from open seat request issues
+ * @param {string} repository - Repository holding the issues, as owner/name
+ * @param {Object} config - Result of loadSeatQueueConfig
+ * @returns {Promise<Array<Object>>} Queue entries, one per requester
+ */
+const loadIssueQueue = async (repository, config) => {
+  const issues = await paginate(`/repos/${repository}/issues`, {
+    params: { state: 'open', labels: config.issues.label, sort: 'created', direction: 'asc' },
+  });
+  const entries = new Map();
+  issues
+    .filter(issue => !issue.pull_request)
+    .forEach(issue => {
+      // Keep the earliest request of users who opened several issues
+      if (entries.has(issue.user.login)) return;
+      const labels = issue.labels.map(label => (typeof label === 'string' ? label : label.name));
+      entries.set(issue.user.login, {
+        login: issue.user.login,
+        requested_at: issue.created_at,
+        priority: Math.max(0, ...labels.map(label => parseInt(config.issues.priority_labels[label] || 0, 10))),
+        issue: issue.number,
+      });
+    });
+  return Array.from(entries.values());
+};
+
+/**
+ * Loads the waiting users from the configured source
+ * @param {Object} config - Result of loadSeatQueueConfig
+ * @returns {Promise<Array<Object>>} Queue entries
+ */
+const loadSeatQueue = async (config) => {
+  if (config.source === 'file') {
+    return config.users;
+  }
+  const repository = process.env.GITHUB_REPOSITORY;
+  if (!repository) {
+    throw new Error('GITHUB_REPOSITORY is required to read seat requests from issues.');
+  }
+  return loadIssueQueue(repository, config);
+};
+
+/**
+ * Orders waiting users: by request date, or by priority and then request date
+ * @param {Array<Object>} entries - Queue entries
+ * @param {string} order - 'fifo' or 'priority'
+ * @returns {Array<Object>} Ordered copy of the entries; users without a request date go last
+ */
+const orderSeatQueue = (entries, order) => {
+  const requestedAt = (entry) => (entry.requested_at ? new Date(entry.requested_at).getTime() : Infinity);
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) =>
+      (order === 'priority' ? b.entry.priority - a.entry.priority : 0) ||
+      requestedAt(a.entry) - requestedAt(b.entry) ||
+      a.index - b.index)
+    .map(({ entry }) => entry);
+};
+
+/**
+ * Closes the seat request issue of a user who was granted a seat
+ * @param {number} issueNumber - Issue number
+ * @param {string} org - Organization name
+ */
+const closeSeatRequest = async (issueNumber, org) => {
+  const repository = process.env.GITHUB_REPOSITORY;
+  await request('post', `/repos/${repository}/issues/${issueNumber}/comments`, {
+    data: { body: `A Copilot seat in ${org} has been assigned to you. Closing this request.` },
+  });
+  await request('patch', `/repos/${repository}/issues/${issueNumber}`, {
+    data: { state: 'closed', state_reason: 'completed' },
+  });
+};
+
+module.exports = {
+  loadSeatQueueConfig,
+  loadSeatQueue,
+  orderSeatQueue,
+  closeSeatRequest,
+};
@@ -0,0 +1,115 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+
+const STATE_CACHE_VERSION = 1;
+
+// Seat statuses that count as inactive when comparing snapshots
+const INACTIVE_STATUSES = ['Warning', 'Inactive', 'No activity'];
+
+/**
+ * Loads the state cache kept between usage checks: the seat snapshot of the previous run and the
+ * GitHub API responses with their ETags. A cache of another organization is ignored.
+ * @param {string} filePath - Path of the JSON cache file
+ * @param {string} org - Organization name
+ * @returns {{updated_at: string|null, seats: Object|null, responses: Object}} State cache
+ */
+const loadStateCache = (filePath, org) => {
+  const empty = { updated_at: null, seats: null, responses: {} };
+  if (!fs.existsSync(filePath)) {
+    console.log(`No state cache found at ${filePath}, fetching everything.`);
+    return empty;
+  }
+
+  const cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (cache.version !== STATE_CACHE_VERSION || cache.org !== org) {
+    console.log(`State cache at ${filePath} is for ${cache.org} or an older version, fetching everything.`);
+    return empty;
+  }
+  console.log(`Loaded state cache from ${cache.updated_at} with ${Object.keys(cache.responses || {}).length} cached responses`);
+  return { updated_at: cache.updated_at, seats: cache.seats || null, responses: cache.responses || {} };
+};
+
+/**
+ * Persists the state cache
+ * @param {string} filePath - Path of the JSON cache file
+ * @param {Object} cache - State cache
+ * @param {string} cache.org - Organization name
+ * @param {Date} cache.date - Reference date of the run
+ * @param {Object} cache.seats - Seat snapshot keyed by user login, see buildSeatSnapshot
+ * @param {Object} cache.responses - Cached API responses keyed by URL
+ */
+const saveStateCache = (filePath, { org, date, seats, responses }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({
+    version: STATE_CACHE_VERSION,
+    org,
+    updated_at: date.toISOString(),
+    seats,
+    responses,
+  }));
+  console.log(`State cache with ${Object.keys(responses).length} cached responses saved to ${filePath}`);
+};
+
+/**
+ * Records the status and Copilot teams of every seat for the next run to compare against
+ * @param {Array<{login: string, status: string, copilot_teams: Array<Object>}>} seats - Seats of this run
+ * @returns {Object} Seat snapshot keyed by user login
+ */
+const buildSeatSnapshot = (seats) => Object.fromEntries(seats.map(seat => [seat.login, {
+  status: seat.status,
+  copilot_teams: seat.copilot_teams.map(team => team.name).sort(),
+}]));
+
+/**
+ * Compares the seat snapshots of two runs
+ * @param {Object|null} previous - Snapshot of the previous run, null if there is none
+ * @param {Object} current - Snapshot of this run
+ * @returns {Array<{login: string, change: string, details: string}>|null} Changes by user, or null without a previous snapshot
+ */
+const diffSeatSnapshots = (previous, current) => {
+  if (!previous) return null;
+
+  const changes = [];
+  const logins = Array.from(new Set([...Object.keys(previous), ...Object.keys(current)])).sort();
+  for (const login of logins) {
+    const before = previous[login];
+    const after = current[login];
+    if (!before) {
+      changes.push({ login, change: 'Seat gained', details: after.copilot_teams.join(', ') });
+      continue;
+    }
+    if (!after) {
+      changes.push({ login, change: 'Seat lost', details: before.copilot_teams.join(', ') });
+      continue;
+    }
+
+    after.copilot_teams.filter(team => !before.copilot_teams.includes(team))
+      .forEach(team => changes.push({ login, change: 'Joined Copilot team', details: team }));
+    before.copilot_teams.filter(team => !after.copilot_teams.includes(team))
+      .forEach(team => changes.push({ login, change: 'Left Copilot team', details: team }));
+
+    if (before.status === 'Active' && INACTIVE_STATUSES.includes(after.status)) {
+      changes.push({ login, change: 'Became inactive', details: `${before.status} -> ${after.status}` });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Counts the changes between two runs by kind
+ * @param {Array<Object>} changes - Result of diffSeatSnapshots
+ * @returns {Object} Number of changes keyed by kind
+ */
+const countChanges = (changes) => changes.reduce((counts, entry) => {
+  counts[entry.change] = (counts[entry.change] || 0) + 1;
+  return counts;
+}, {});
+
+module.exports = {
+  loadStateCache,
+  saveStateCache,
+  buildSeatSnapshot,
+  diffSeatSnapshots,
+  countChanges,
+};
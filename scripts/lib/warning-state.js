@@ -0,0 +1,85 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WARNING_STATE_FILE = 'clean-logs/warning-state.json';
+
+/**
+ * Loads the persisted warning state tracking when each inactive user was warned
+ * @param {string} [filePath] - Path of the JSON state file
+ * @returns {{updated_at: string|null, users: Object}} Warning state keyed by user login
+ */
+const loadWarningState = (filePath = process.env.WARNING_STATE_FILE || DEFAULT_WARNING_STATE_FILE) => {
+  if (!fs.existsSync(filePath)) {
+    console.log(`No warning state found at ${filePath}, starting fresh.`);
+    return { updated_at: null, users: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  console.log(`Loaded warning state for ${Object.keys(state.users || {}).length} users from ${filePath}`);
+  return { updated_at: state.updated_at || null, users: state.users || {} };
+};
+
+/**
+ * Derives the path of the state dry runs keep, so scheduled dry runs warn and remove users as
+ * production would without touching the production warnings
+ * @param {string} filePath - Path of the production warning state file
+ * @returns {string} Path of the dry-run warning state file
+ */
+const getDryRunStateFile = (filePath) => filePath.replace(/(\.json)?$/, '.dry-run.json');
+
+/**
+ * Persists the warning state
+ * @param {Object} state - Warning state keyed by user login
+ * @param {Date} today - Reference date recorded as the update time
+ * @param {string} [filePath] - Path of the JSON state file
+ */
+const saveWarningState = (state, today, filePath = process.env.WARNING_STATE_FILE || DEFAULT_WARNING_STATE_FILE) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ updated_at: today.toISOString(), users: state.users }, null, 2));
+  console.log(`Warning state for ${Object.keys(state.users).length} users saved to ${filePath}`);
+};
+
+/**
+ * Checks whether a user used Copilot after they were warned, which resets their warning
+ * @param {Object} warning - Warning state entry of the user
+ * @param {Object} user - Inactive user record from the usage check
+ * @returns {boolean} True if the user has been active since the warning
+ */
+const isActiveSinceWarning = (warning, user) =>
+  Boolean(user.last_activity_at) && new Date(user.last_activity_at) > new Date(warning.warned_at);
+
+/**
+ * Computes the date on which the grace period following a warning ends
+ * @param {Object} warning - Warning state entry of the user
+ * @param {number} graceDays - Days between the warning and the earliest removal
+ * @returns {Date} End of the grace period
+ */
+const getGracePeriodEnd = (warning, graceDays) => {
+  const graceEnd = new Date(warning.warned_at);
+  graceEnd.setDate(graceEnd.getDate() + graceDays);
+  return graceEnd;
+};
+
+/**
+ * Checks whether a warned user is due for removal: past the inactivity threshold, inactive
+ * since the warning and past the grace period
+ * @param {Object|undefined} warning - Warning state entry of the user, if warned
+ * @param {Object} user - Inactive user record from the usage check
+ * @param {number} graceDays - Days between the warning and the earliest removal
+ * @param {Date} today - Reference date
+ * @returns {boolean} True if the seat can be removed
+ */
+const isDueForRemoval = (warning, user, graceDays, today) =>
+  Boolean(warning) &&
+  !isActiveSinceWarning(warning, user) &&
+  user.status !== 'Warning' &&
+  today >= getGracePeriodEnd(warning, graceDays);
+
+module.exports = {
+  loadWarningState,
+  saveWarningState,
+  getDryRunStateFile,
+  isActiveSinceWarning,
+  getGracePeriodEnd,
+  isDueForRemoval,
+};
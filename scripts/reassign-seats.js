@@ -0,0 +1,232 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+const { logRequestSummary } = require('./lib/github-client');
+const { getCurrentSeat, grantCopilotAccess } = require('./lib/copilot-access');
+const { loadSeatQueueConfig, loadSeatQueue, orderSeatQueue, closeSeatRequest } = require('./lib/seat-queue');
+const {
+  DEFAULT_REPORT_DIR,
+  buildLedgerEntry,
+  writeRunLedger,
+  listRunLedgers,
+  loadRunLedger
+} = require('./lib/run-ledger');
+const { parseReferenceDate, resolveDryRun, resolveOrg } = require('./lib/options');
+const { setMarkdownSection, setHtmlSection } = require('./lib/reports');
+
+/**
+ * Describes where a waiting user's request comes from for reports
+ * @param {Object} entry - Queue entry
+ * @returns {string} Requested date and issue
+ */
+const describeRequest = (entry) => [
+  entry.requested_at ? entry.requested_at.slice(0, 10) : 'Unknown',
+  entry.issue ? `#${entry.issue}` : null,
+].filter(Boolean).join(', ');
+
+/**
+ * Grants the seats freed by a removal run to users waiting for one, in queue order
+ * @param {Object} [options] - Settings; each defaults to its environment variable
+ * @param {string} [options.org] - Organization name (ORG_NAME)
+ * @param {boolean} [options.dryRun] - Only log what would change (DRY_RUN, dry unless 'false')
+ * @param {string} [options.date] - Reference date as "YYYY-MM-DD HH:MM:SS" UTC (CURRENT_DATE)
+ * @param {string} [options.input] - Ledger of the removal run (default latest run in clean-logs)
+ * @param {string} [options.outputDir] - Directory holding reports and ledgers (default clean-logs)
+ * @returns {Promise<Object|null>} Results by outcome, or null if there was nothing to reassign
+ */
+const run = async (options = {}) => {
+  try {
+    // Resolve settings, falling back to environment variables
+    const org = resolveOrg(options.org);
+    const isDryRun = resolveDryRun(options.dryRun);
+    const today = parseReferenceDate(options.date);
+    const reportDir = options.outputDir || DEFAULT_REPORT_DIR;
+
+    // Log initial configuration
+    console.log(`Current Date and Time (UTC): ${today.toISOString()}`);
+    console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}\n`);
+
+    console.log('Copilot Seat Reassignment Process');
+    console.log('=================================');
+
+    const config = loadSeatQueueConfig();
+    if (!config) {
+      return null;
+    }
+
+    // Load the ledger of the removal run whose freed seats are reassigned
+    const ledgerPath = options.input || listRunLedgers(reportDir).pop();
+    if (!ledgerPath) {
+      console.log('No removal run found, no seats to reassign.');
+      return null;
+    }
+
+    const ledger = loadRunLedger(ledgerPath);
+    console.log(`Reassigning seats freed by run: ${ledgerPath} (${ledger.date})`);
+    if (ledger.org !== org) {
+      throw new Error(`${ledgerPath} records a run for organization ${ledger.org}, not ${org}.`);
+    }
+    if (ledger.reassignment && !ledger.reassignment.dry_run) {
+      console.log(`Seats freed by this run were already reassigned on ${ledger.reassignment.date}.`);
+      return null;
+    }
+
+    // Only seats that were actually freed can be handed out; a dry run frees none
+    if (ledger.dry_run && !isDryRun) {
+      console.log('The removal run was a dry run, no seats were freed.');
+      return null;
+    }
+    const freedOutcomes = isDryRun ? ['success', 'dry_run'] : ['success'];
+    const removedLogins = ledger.users
+      .filter(entry => entry.action === 'remove' && freedOutcomes.includes(entry.outcome))
+      .map(entry => entry.login);
+    const seatsFreed = removedLogins.length;
+    if (seatsFreed === 0) {
+      console.log('No seats were freed by this run.');
+      return null;
+    }
+
+    const queue = orderSeatQueue(await loadSeatQueue(config), config.order);
+    console.log(`Found ${seatsFreed} freed seats and ${queue.length} users waiting for one.\n`);
+
+    // Initialize result tracking
+    const results = {
+      granted: [],
+      failed: [],
+      skipped: [],
+      waiting: []
+    };
+    const settings = { org, isDryRun, teamSlug: config.grant_via === 'team' ? config.team_slug : null };
+
+    // Grant seats in queue order until every freed seat is handed out
+    for (const entry of queue) {
+      if (results.granted.length >= seatsFreed) {
+        results.waiting.push(entry);
+        continue;
+      }
+
+      // Users who just lost their seat for inactivity do not get it back through the queue
+      if (removedLogins.includes(entry.login)) {
+        console.log(`Skipping ${entry.login}: seat removed for inactivity in this run`);
+        results.skipped.push({ ...entry, reason: 'Seat removed for inactivity in this run' });
+        continue;
+      }
+
+      let currentSeat;
+      try {
+        currentSeat = await getCurrentSeat(org, entry.login);
+      } catch (error) {
+        console.error(`Error checking the Copilot seat of ${entry.login}:`, error.message);
+        results.failed.push({ ...entry, error: `Could not check seat: ${error.message}` });
+        continue;
+      }
+      if (currentSeat) {
+        console.log(`Skipping ${entry.login}: already has a Copilot seat`);
+        results.skipped.push({ ...entry, reason: 'Already has a Copilot seat' });
+        continue;
+      }
+
+      const grantResult = await grantCopilotAccess(entry, settings);
+      if (grantResult !== true) {
+        results.failed.push(entry);
+        continue;
+      }
+      results.granted.push(entry);
+
+      // Close the request of users queued through an issue
+      if (entry.issue && !isDryRun) {
+        try {
+          await closeSeatRequest(entry.issue, org);
+        } catch (error) {
+          console.warn(`Warning: Could not close seat request #${entry.issue} of ${entry.login}:`, error.message);
+        }
+      }
+    }
+
+    // Record the grants in the report and ledger of the removal run, replacing those of an earlier reassignment
+    const grantedVia = settings.teamSlug ? `team ${settings.teamSlug}` : 'selected_users';
+    const section = {
+      title: 'Seat Reassignments',
+      items: [
+        `Date: ${today.toUTCString()}`,
+        `Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}`,
+        `Queue: ${config.source} source, ${config.order} order, granted via ${grantedVia}`,
+        `Seats Freed: ${seatsFreed}`,
+        `${isDryRun ? 'Would Grant' : 'Granted'}: ${results.granted.length} users (reassigned seats stay billed)`,
+        `Failed to Grant: ${results.failed.length} users`,
+        `Skipped: ${results.skipped.length} users`,
+        `Still Waiting: ${results.waiting.length} users`
+      ],
+      columns: ['User Login', 'Outcome', 'Requested', 'Priority', 'Reason'],
+      rows: [
+        ...results.granted.map(entry => ({ ...entry, outcome: isDryRun ? 'Would grant' : 'Granted' })),
+        ...results.failed.map(entry => ({ ...entry, outcome: 'Failed', reason: entry.error })),
+        ...results.skipped.map(entry => ({ ...entry, outcome: 'Skipped' }))
+      ].map(entry => [entry.login, entry.outcome, describeRequest(entry), entry.priority, entry.reason || ''])
+    };
+
+    const reportPath = ledgerPath.replace(/\.json$/, '.md');
+    if (fs.existsSync(reportPath)) {
+      fs.writeFileSync(reportPath, setMarkdownSection(fs.readFileSync(reportPath, 'utf8'), section));
+      console.log(`\nSeat reassignments have been added to ${reportPath}`);
+    }
+    const htmlReportPath = ledgerPath.replace(/\.json$/, '.html');
+    if (fs.existsSync(htmlReportPath)) {
+      fs.writeFileSync(htmlReportPath, setHtmlSection(fs.readFileSync(htmlReportPath, 'utf8'), section));
+      console.log(`Seat reassignments have been added to ${htmlReportPath}`);
+    }
+
+    const completedOutcome = isDryRun ? 'dry_run' : 'success';
+    const ledgerPaths = writeRunLedger({
+      ...ledger,
+      reassignment: {
+        date: today.toISOString(),
+        dry_run: isDryRun,
+        source: config.source,
+        order: config.order,
+        granted_via: grantedVia,
+        seats_freed: seatsFreed,
+        summary: {
+          granted: results.granted.length,
+          failed: results.failed.length,
+          skipped: results.skipped.length,
+          waiting: results.waiting.length
+        }
+      },
+      users: [
+        ...ledger.users.filter(entry => entry.action !== 'grant'),
+        ...results.granted.map(entry => buildLedgerEntry(entry, 'grant', completedOutcome)),
+        ...results.failed.map(entry => buildLedgerEntry(entry, 'grant', 'failed')),
+        ...results.skipped.map(entry => buildLedgerEntry(entry, 'grant', 'skipped', { reason: entry.reason }))
+      ]
+    }, path.basename(ledgerPath, '.json'), path.dirname(ledgerPath));
+    console.log(`Run ledger has been updated at ${ledgerPaths.jsonPath} and ${ledgerPaths.csvPath}`);
+
+    // Log summary
+    console.log('\nProcess completed.');
+    console.log(`${isDryRun ? 'Would grant' : 'Granted'}: ${results.granted.length} of ${seatsFreed} freed seats`);
+    console.log(`Failed to grant: ${results.failed.length} users`);
+    console.log(`Still waiting: ${results.waiting.length} users`);
+    logRequestSummary();
+
+    // Signal failed grants through the exit code without aborting the caller
+    if (results.failed.length > 0) {
+      process.exitCode = 1;
+    }
+    return results;
+  } catch (error) {
+    // Error handling with detailed logging
+    console.error('Error during the reassignment process:', error.message);
+    logRequestSummary();
+    throw error;
+  }
+};
+
+module.exports = {
+  run,
+};
+
+// Run directly when executed as a script
+if (require.main === module) {
+  run().catch(() => process.exit(1));
+}
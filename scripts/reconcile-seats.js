@@ -0,0 +1,144 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+const { logRequestSummary } = require('./lib/github-client');
+const { loadAuditLogConfig, getCopilotAuditEvents, getCleanerChanges, reconcileSeatChanges } = require('./lib/audit-log');
+const {
+  DEFAULT_REPORT_DIR,
+  writeRunLedger,
+  listRunLedgers,
+  listRestoreLedgers,
+  loadRunLedger
+} = require('./lib/run-ledger');
+const { resolveOrg } = require('./lib/options');
+const { setMarkdownSection, setHtmlSection } = require('./lib/reports');
+
+/**
+ * Reconciles the Copilot seat changes in the organization audit log since the previous run with
+ * the ledgers of the cleaner and the billed seats, so changes made by admins in the UI show up
+ * @param {Object} [options] - Settings; each defaults to its environment variable
+ * @param {string} [options.org] - Organization name (ORG_NAME)
+ * @param {string} [options.input] - Ledger of the run to reconcile (default latest run in clean-logs)
+ * @param {string} [options.outputDir] - Directory holding reports and ledgers (default clean-logs)
+ * @returns {Promise<Object|null>} Reconciliation, or null if there was nothing to reconcile
+ */
+const run = async (options = {}) => {
+  try {
+    // Resolve settings, falling back to environment variables
+    const org = resolveOrg(options.org);
+    const reportDir = options.outputDir || DEFAULT_REPORT_DIR;
+
+    console.log('Copilot Seat Reconciliation Process');
+    console.log('===================================');
+
+    // Load the run to reconcile and the previous run the period starts from
+    const runLedgers = listRunLedgers(reportDir);
+    const ledgerPath = options.input || runLedgers[runLedgers.length - 1];
+    if (!ledgerPath) {
+      console.log('No removal run found, nothing to reconcile.');
+      return null;
+    }
+    const ledger = loadRunLedger(ledgerPath);
+    if (ledger.org !== org) {
+      throw new Error(`${ledgerPath} records a run for organization ${ledger.org}, not ${org}.`);
+    }
+
+    const ledgers = [...runLedgers, ...listRestoreLedgers(reportDir)].map(loadRunLedger);
+    const previous = ledgers
+      .filter(candidate => candidate.kind === 'removal' && candidate.seat_breakdown && candidate.date < ledger.date)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .pop();
+    if (!previous) {
+      console.log('No previous run with a seat breakdown found, nothing to reconcile.');
+      return null;
+    }
+
+    const since = new Date(previous.date);
+    const until = new Date(ledger.date);
+    console.log(`Reconciling seat changes between ${since.toISOString()} and ${until.toISOString()}`);
+
+    // The audit log API is only available to organizations on GitHub Enterprise Cloud
+    let events;
+    try {
+      events = await getCopilotAuditEvents(org, loadAuditLogConfig(), since, until);
+    } catch (error) {
+      if (error.response && [403, 404].includes(error.response.status)) {
+        console.warn(`Warning: The audit log of ${org} is not available (${error.message}). It requires GitHub Enterprise Cloud and a token with the read:audit_log scope.`);
+        logRequestSummary();
+        return null;
+      }
+      throw error;
+    }
+    console.log(`Found ${events.length} Copilot seat changes in the audit log.`);
+
+    const reconciliation = reconcileSeatChanges({
+      events,
+      cleanerChanges: getCleanerChanges(ledgers, since, until),
+      previousBreakdown: previous.seat_breakdown,
+      currentBreakdown: ledger.seat_breakdown || null
+    });
+    const { summary, discrepancies } = reconciliation;
+
+    // Record the reconciliation in the report and ledger of the run, replacing an earlier one
+    const section = {
+      title: 'Seat Reconciliation',
+      items: [
+        `Period: ${since.toUTCString()} to ${until.toUTCString()}`,
+        `Seats Assigned: ${summary.assigned_by_cleaner} by the cleaner, ${summary.assigned_by_others} by others`,
+        `Seats Cancelled: ${summary.cancelled_by_cleaner} by the cleaner, ${summary.cancelled_by_others} by others`,
+        `Teams Added to Copilot: ${summary.teams_added}`,
+        `Seats Not Pending Cancellation: ${summary.previous_seats} at the previous run, ${summary.expected_seats === null ? 'unknown' : summary.expected_seats} expected, ${summary.actual_seats === null ? 'unknown' : summary.actual_seats} billed`,
+        `Discrepancies: ${discrepancies.length}`,
+        ...discrepancies.map(discrepancy => `Discrepancy: ${discrepancy}`)
+      ],
+      columns: ['Date', 'User Login', 'Change', 'Team', 'Actor', 'Attributed To'],
+      rows: reconciliation.events.map(event => [event.date, event.login, event.change, event.team, event.actor, event.attributed_to])
+    };
+
+    const reportPath = ledgerPath.replace(/\.json$/, '.md');
+    if (fs.existsSync(reportPath)) {
+      fs.writeFileSync(reportPath, setMarkdownSection(fs.readFileSync(reportPath, 'utf8'), section));
+      console.log(`\nSeat reconciliation has been added to ${reportPath}`);
+    }
+    const htmlReportPath = ledgerPath.replace(/\.json$/, '.html');
+    if (fs.existsSync(htmlReportPath)) {
+      fs.writeFileSync(htmlReportPath, setHtmlSection(fs.readFileSync(htmlReportPath, 'utf8'), section));
+      console.log(`Seat reconciliation has been added to ${htmlReportPath}`);
+    }
+
+    const ledgerPaths = writeRunLedger({
+      ...ledger,
+      reconciliation: {
+        since: since.toISOString(),
+        until: until.toISOString(),
+        summary,
+        discrepancies,
+        events: reconciliation.events
+      }
+    }, path.basename(ledgerPath, '.json'), path.dirname(ledgerPath));
+    console.log(`Run ledger has been updated at ${ledgerPaths.jsonPath} and ${ledgerPaths.csvPath}`);
+
+    // Log summary
+    console.log('\nProcess completed.');
+    console.log(`Seats assigned: ${summary.assigned_by_cleaner} by the cleaner, ${summary.assigned_by_others} by others`);
+    console.log(`Seats cancelled: ${summary.cancelled_by_cleaner} by the cleaner, ${summary.cancelled_by_others} by others`);
+    console.log(`Discrepancies: ${discrepancies.length}`);
+    discrepancies.forEach(discrepancy => console.warn(`Warning: ${discrepancy}`));
+    logRequestSummary();
+    return reconciliation;
+  } catch (error) {
+    // Error handling with detailed logging
+    console.error('Error during the reconciliation process:', error.message);
+    logRequestSummary();
+    throw error;
+  }
+};
+
+module.exports = {
+  run,
+};
+
+// Run directly when executed as a script
+if (require.main === module) {
+  run().catch(() => process.exit(1));
+}
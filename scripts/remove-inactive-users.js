@@ -1,163 +1,144 @@
 // Import required dependencies
-const axios = require('axios');
 const fs = require('fs');
-
-// Get environment variables
-const org = process.env.ORG_NAME;
-const currentUser = process.env.CURRENT_USER;
-const isDryRun = process.env.DRY_RUN !== 'false';
-const today = process.env.CURRENT_DATE ? 
-  new Date(process.env.CURRENT_DATE.replace(' ', 'T') + 'Z') : 
-  new Date();
-
-// Log initial configuration
-console.log(`Current Date and Time (UTC - YYYY-MM-DD HH:MM:SS formatted): ${process.env.CURRENT_DATE}`);
-console.log(`Current User's Login: ${currentUser}`);
-console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}\n`);
-
-// Cache for teams information to avoid repeated API calls
-let teamsCache = null;
+const path = require('path');
+const { logRequestSummary } = require('./lib/github-client');
+const { getCurrentSeat, getSeatTotal, removeCopilotAccess } = require('./lib/copilot-access');
+const { loadExemptions, findExemption, getExpiredExemptions, formatExemptionReason } = require('./lib/exemptions');
+const { getReportOnlyTeams } = require('./lib/copilot-teams');
+const { formatRemovalReport, formatRemovalHtmlReport } = require('./lib/reports');
+const { sendNotifications } = require('./lib/notifiers');
+const {
+  DEFAULT_REPORT_DIR,
+  formatRunTimestamp,
+  buildLedgerEntry,
+  toLedgerTeams,
+  writeRunLedger,
+  listRunLedgers,
+  listRestoreLedgers,
+  loadRunLedger
+} = require('./lib/run-ledger');
+const {
+  loadPricing,
+  resolvePlanPricing,
+  estimateSavings,
+  getCumulativeSavings,
+  describeSavings
+} = require('./lib/savings');
+const {
+  loadWarningState,
+  saveWarningState,
+  getDryRunStateFile,
+  isActiveSinceWarning,
+  getGracePeriodEnd
+} = require('./lib/warning-state');
+const { loadSafetyLimits, describeSafetyLimits, findRemovalCapExceeded, findSeatChange } = require('./lib/safety');
+const { MANIFEST_PATH, getMaxAgeDays, loadRemovalManifest, writeRemovalManifest, findStaleEntries } = require('./lib/approval');
+const { DEFAULT_WORK_DIR, parseReferenceDate, resolveDryRun, resolveApprovalMode, resolveOrg } = require('./lib/options');
 
 /**
- * Fetches and caches all teams in the organization
- * @returns {Promise<Map>} Map of team names to team slugs
+ * Deletes an executed removal manifest, which lets the next approval pull request add a new one.
+ * Approved users whose removal failed or was stopped by a safety limit stay in the manifest, so
+ * their approval is not lost.
+ * @param {Object} manifest - Approved manifest
+ * @param {string} manifestFile - Path of the approved manifest
+ * @param {Array<string>} pendingLogins - Approved users whose seat was not removed
  */
-const getTeams = async () => {
-  if (teamsCache) return teamsCache;
-  try {
-    console.log('Fetching teams information...');
-    const response = await axios.get(`https://api.github.com/orgs/${org}/teams?per_page=100`, {
-      headers: {
-        Authorization: `token ${process.env.GITHUB_TOKEN}`,
-        Accept: 'application/vnd.github.v3+json'
-      }
-    });
-    // Convert teams data to a Map of team names to slugs (filtered to Copilot teams only)
-    teamsCache = new Map(
-      response.data
-        .filter(team => team.name.startsWith('Team Copilot -'))
-        .map(team => [team.name, team.slug])
-    );
-    console.log('Found Copilot teams:', Array.from(teamsCache.entries()));
-    return teamsCache;
-  } catch (error) {
-    console.error('Error fetching teams:', error.message);
-    return new Map();
+const settleExecutedManifest = (manifest, manifestFile, pendingLogins) => {
+  if (pendingLogins.length === 0) {
+    fs.unlinkSync(manifestFile);
+    console.log(`Executed removal manifest ${manifestFile} has been deleted`);
+    return;
   }
+  writeRemovalManifest({ ...manifest, users: manifest.users.filter(entry => pendingLogins.includes(entry.login)) }, manifestFile);
+  console.log(`Removal manifest ${manifestFile} keeps ${pendingLogins.length} approved users whose seat was not removed: ${pendingLogins.join(', ')}`);
 };
 
 /**
- * Removes a user from a Copilot access team
- * @param {Object} user - User object containing login information
- * @param {string} teamName - Name of the team to remove user from
- * @returns {Promise<boolean>} Success status of the removal operation
+ * Warns inactive users found by the usage check and removes seats past the grace period
+ * @param {Object} [options] - Settings; each defaults to its environment variable
+ * @param {string} [options.org] - Organization name (ORG_NAME)
+ * @param {boolean} [options.dryRun] - Only log what would change (DRY_RUN, dry unless 'false')
+ * @param {number} [options.graceDays] - Days between a warning and the removal (WARNING_GRACE_DAYS, default 14)
+ * @param {string} [options.currentUser] - Login that is never removed (CURRENT_USER)
+ * @param {string} [options.date] - Reference date as "YYYY-MM-DD HH:MM:SS" UTC (CURRENT_DATE)
+ * @param {string} [options.input] - Inactive users file (default .github/scripts/inactive_users.txt)
+ * @param {string} [options.outputDir] - Directory for reports, ledgers and warning state (default clean-logs)
+ * @param {string} [options.warningStateFile] - Warnings of previous runs (WARNING_STATE_FILE, default warning-state.json in the output directory)
+ * @param {boolean} [options.approval] - Only warn; seats due for removal wait for an approved manifest (APPROVAL_MODE)
+ * @param {string} [options.manifest] - Approved removal manifest to execute instead of the usual cycle (REMOVAL_MANIFEST)
+ * @returns {Promise<Object|null>} Results by outcome, or null if there was nothing to process
  */
-const removeFromCopilotTeam = async (user, teamName) => {
+const run = async (options = {}) => {
   try {
-    // Verify if this is a Copilot team
-    if (!teamName.startsWith('Team Copilot -')) {
-      console.log(`${teamName} is not a Copilot Access team, skipping team removal.`);
-      return false;
-    }
-
-    const teams = await getTeams();
-    const teamSlug = teams.get(teamName);
-    if (!teamSlug) {
-      console.error(`Could not find team slug for: ${teamName}`);
-      return false;
-    }
+    // Resolve settings, falling back to environment variables
+    const org = resolveOrg(options.org);
+    const currentUser = options.currentUser || process.env.CURRENT_USER;
+    const isDryRun = resolveDryRun(options.dryRun);
+    const graceDays = options.graceDays || parseInt(process.env.WARNING_GRACE_DAYS || '14', 10); // Default to 14 if not set
+    const today = parseReferenceDate(options.date);
+    const inactiveUsersFile = options.input || path.join(DEFAULT_WORK_DIR, 'inactive_users.txt');
+    const reportDir = options.outputDir || DEFAULT_REPORT_DIR;
+    const productionStateFile = options.warningStateFile || process.env.WARNING_STATE_FILE || path.join(reportDir, 'warning-state.json');
+    // Dry runs keep their own warnings so scheduled dry runs show what production would remove
+    const warningStateFile = isDryRun ? getDryRunStateFile(productionStateFile) : productionStateFile;
+    const approvalMode = resolveApprovalMode(options.approval);
+    const manifestFile = options.manifest || process.env.REMOVAL_MANIFEST;
+    const settings = { org, isDryRun };
+    const safetyLimits = loadSafetyLimits();
 
-    console.log(`Removing user ${user.login} from Copilot Access team: ${teamName} (slug: ${teamSlug})`);
-    
-    // Execute team removal if not in dry run mode
-    if (!isDryRun) {
-      await axios.delete(`https://api.github.com/orgs/${org}/teams/${teamSlug}/memberships/${user.login}`, {
-        headers: {
-          Authorization: `token ${process.env.GITHUB_TOKEN}`,
-          Accept: 'application/vnd.github.v3+json'
-        }
-      });
-    }
-    
-    console.log(`${isDryRun ? '[DRY RUN] Would have removed' : 'Removed'} ${user.login} from Copilot Access team ${teamName}`);
-    return true;
-  } catch (error) {
-    console.error(`Error removing ${user.login} from Copilot Access team ${teamName}:`, error.message);
-    if (error.response) {
-      console.error('Response:', JSON.stringify(error.response.data, null, 2));
-    }
-    return false;
-  }
-};
+    // Log initial configuration
+    console.log(`Current Date and Time (UTC): ${today.toISOString()}`);
+    console.log(`Current User's Login: ${currentUser}`);
+    console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}`);
+    console.log(`Approval: ${manifestFile ? `executing approved manifest ${manifestFile}` : (approvalMode ? 'removals wait for an approved manifest' : 'not required')}`);
+    console.log(`Grace period after warning: ${graceDays} days`);
+    console.log(`Warning state: ${warningStateFile}`);
+    console.log(`Safety limits: ${describeSafetyLimits(safetyLimits)}\n`);
 
-/**
- * Removes Copilot access for a specific user
- * @param {Object} user - User object containing login information
- * @returns {Promise<boolean>} Success status of the removal operation
- */
-const removeCopilotAccess = async (user) => {
-  try {
-    console.log(`Removing Copilot access for user: ${user.login}`);
-    
-    // Execute access removal if not in dry run mode
-    if (!isDryRun) {
-      await axios.delete(`https://api.github.com/orgs/${org}/copilot/billing/selected_users`, {
-        headers: {
-          Authorization: `token ${process.env.GITHUB_TOKEN}`,
-          Accept: 'application/vnd.github.copilot-billing-preview+json',
-          'Content-Type': 'application/json',
-        },
-        data: {
-          selected_usernames: [user.login],
-        },
-      });
-    }
-    
-    console.log(`${isDryRun ? '[DRY RUN] Would have removed' : 'Removed'} Copilot access for user: ${user.login}`);
-    return true;
-  } catch (error) {
-    console.error(`Error removing Copilot access for ${user.login}:`, error.message);
-    if (error.response) {
-      console.error('Response:', JSON.stringify(error.response.data, null, 2));
-      
-      // Handle case where user has access through team
-      if (error.response.status === 422 && error.response.data.message.includes('assigned via team')) {
-        const teamMatch = error.response.data.message.match(/team (Team Copilot - [^',.]+)/);
-        if (teamMatch) {
-          const teamName = teamMatch[1];
-          console.log(`User ${user.login} has Copilot access through team: ${teamName}`);
-          const teamRemovalResult = await removeFromCopilotTeam(user, teamName);
-          if (teamRemovalResult) {
-            // Retry removing Copilot access after team removal
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            return await removeCopilotAccess(user);
-          }
-        }
-      }
-    }
-    return false;
-  }
-};
-
-// Main execution function
-(async () => {
-  try {
     console.log('Copilot Access Removal Process');
     console.log('============================');
     
     // Verify and load inactive users data
-    const inactiveUsersFile = '.github/scripts/inactive_users.txt';
     if (!fs.existsSync(inactiveUsersFile)) {
       throw new Error('Inactive users file not found. Please run check-copilot-usage.js first.');
     }
 
     const inactiveUsers = JSON.parse(fs.readFileSync(inactiveUsersFile, 'utf8'));
+
+    // Refuse an approved manifest that no longer matches the activity data of this run
+    const manifest = manifestFile ? loadRemovalManifest(manifestFile) : null;
+    if (manifest) {
+      const staleEntries = findStaleEntries(manifest, {
+        org,
+        inactiveUsers: Array.isArray(inactiveUsers) ? inactiveUsers : [],
+        today,
+        maxAgeDays: getMaxAgeDays()
+      });
+      if (staleEntries.length > 0) {
+        staleEntries.forEach(problem => console.error(`Stale manifest: ${problem}`));
+        throw new Error(`Removal manifest ${manifestFile} is stale, no seats were removed. Wait for the next approval pull request.`);
+      }
+      console.log(`Removal manifest ${manifestFile} approved ${manifest.users.length} users and matches the current activity data.`);
+    }
+
     if (!Array.isArray(inactiveUsers) || inactiveUsers.length === 0) {
       console.log('No inactive users to process.');
-      return;
+      // Everyone is active again, so no pending warnings remain
+      saveWarningState({ users: {} }, today, warningStateFile);
+      // An approved manifest whose users were all spared has nothing left to remove
+      if (manifest && !isDryRun) {
+        settleExecutedManifest(manifest, manifestFile, []);
+      }
+      return null;
     }
 
     console.log(`Found ${inactiveUsers.length} inactive users to process.\n`);
+
+    // Load the settings and billing snapshot of the usage check for the run ledger
+    const checkSummaryFile = path.join(path.dirname(inactiveUsersFile), 'check_summary.json');
+    const checkSummary = fs.existsSync(checkSummaryFile) ?
+      JSON.parse(fs.readFileSync(checkSummaryFile, 'utf8')) :
+      {};
     
     // Log users to be processed
     console.log('Users to be processed:');
@@ -166,28 +147,179 @@ const removeCopilotAccess = async (user) => {
       console.log(`${user.login},${user.status},${user.days_inactive},"${user.team}",${user.last_used}`);
     });
 
+    // Load exemptions and flag the ones that have expired
+    const exemptions = loadExemptions();
+    const expiredExemptions = getExpiredExemptions(exemptions, today);
+    expiredExemptions.forEach(entry => {
+      console.warn(`Warning: ${entry.type} exemption for ${entry.name} (${entry.reason}) expired on ${entry.expires.toISOString().slice(0, 10)}`);
+    });
+
+    // Load warnings from previous runs; users missing from this run's list are dropped from the state
+    // A dry run without warnings of its own starts from the production warnings
+    const warningState = loadWarningState(isDryRun && !fs.existsSync(warningStateFile) ? productionStateFile : warningStateFile);
+    const nextWarningState = { users: {} };
+
+    // An approved manifest removes exactly its users and leaves the warnings of everyone else untouched
+    const approvedLogins = manifest ? new Set(manifest.users.map(entry => entry.login)) : null;
+    if (manifest) {
+      nextWarningState.users = { ...warningState.users };
+    }
+
     // Initialize result tracking
     const results = {
       successful: [],
       failed: [],
-      skipped: []
+      skipped: [],
+      warned: []
     };
 
+    // Seats to remove once every user has been processed and the run is within the safety limits
+    const dueForRemoval = [];
+
     // Process each inactive user
     console.log('\nProcessing users...');
     for (const user of inactiveUsers) {
+      if (approvedLogins && !approvedLogins.has(user.login)) {
+        continue;
+      }
+
       if (user.login === currentUser) {
         console.log(`Skipping current user: ${currentUser}`);
         results.skipped.push({ ...user, reason: 'Current user' });
         continue;
       }
 
-      const removalResult = await removeCopilotAccess(user);
+      // Approved users were checked against this run's activity data above
+      if (manifest) {
+        dueForRemoval.push(user);
+        continue;
+      }
+
+      // Honor exemptions from the config as well as those flagged by the usage check
+      const exemption = findExemption(exemptions, user.login, user.team_slugs || [], today);
+      const exemptReason = exemption ? formatExemptionReason(exemption) : user.exempt_reason;
+      if (exemptReason) {
+        console.log(`Skipping exempted user ${user.login}: ${exemptReason}`);
+        results.skipped.push({ ...user, reason: exemptReason });
+        continue;
+      }
+
+      // Seats granted through report-only teams are listed but never removed
+      const reportOnlyTeams = getReportOnlyTeams(user);
+      if (reportOnlyTeams.length > 0) {
+        const teamReason = `Seat granted through report-only team ${reportOnlyTeams.map(team => team.name).join(', ')}`;
+        console.log(`Skipping ${user.login}: ${teamReason}`);
+        results.skipped.push({ ...user, reason: teamReason });
+        continue;
+      }
+
+      // Seats too young to be removed under the activity policy
+      if (user.ineligible_reason) {
+        console.log(`Skipping ${user.login}: ${user.ineligible_reason}`);
+        results.skipped.push({ ...user, reason: user.ineligible_reason });
+        continue;
+      }
+
+      // Warn first; a warning is reset if the user has used Copilot since it was given
+      const warning = warningState.users[user.login];
+      if (!warning || isActiveSinceWarning(warning, user)) {
+        const newWarning = { warned_at: today.toISOString(), last_activity_at: user.last_activity_at || null };
+        nextWarningState.users[user.login] = newWarning;
+        results.warned.push({ ...user, removal_after: getGracePeriodEnd(newWarning, graceDays).toISOString() });
+        console.log(`${isDryRun ? '[DRY RUN] Would have warned' : 'Warned'} ${user.login}, seat can be removed after ${graceDays} days`);
+        continue;
+      }
+      nextWarningState.users[user.login] = warning;
+
+      // Only revoke seats of users past the inactivity threshold whose grace period has ended
+      const warnedOn = warning.warned_at.slice(0, 10);
+      const graceEnd = getGracePeriodEnd(warning, graceDays);
+      if (user.status === 'Warning') {
+        console.log(`Skipping ${user.login}: warned on ${warnedOn} but not yet past the inactivity threshold`);
+        results.skipped.push({ ...user, reason: `Warned on ${warnedOn}, not yet past the inactivity threshold` });
+        continue;
+      }
+      if (today < graceEnd) {
+        console.log(`Skipping ${user.login}: grace period runs until ${graceEnd.toISOString().slice(0, 10)}`);
+        results.skipped.push({ ...user, reason: `Warned on ${warnedOn}, grace period until ${graceEnd.toISOString().slice(0, 10)}` });
+        continue;
+      }
+
+      // Users still contributing to the organization keep their seat and their warning
+      if (user.engaged_reason) {
+        console.log(`${isDryRun ? '[DRY RUN] Would have warned' : 'Warned'} ${user.login} instead of removing: ${user.engaged_reason}`);
+        results.warned.push({ ...user, removal_after: graceEnd.toISOString(), reason: user.engaged_reason });
+        continue;
+      }
+
+      // In approval mode the seat is only removed once the manifest listing it is merged
+      if (approvalMode) {
+        const approvalReason = `Due for removal, pending approval in ${MANIFEST_PATH}`;
+        console.log(`Skipping ${user.login}: ${approvalReason}`);
+        results.skipped.push({ ...user, reason: approvalReason });
+        continue;
+      }
+
+      dueForRemoval.push(user);
+    }
+
+    // Abort all removals if the run would revoke more seats than allowed, e.g. after a bad usage check
+    // Fetch the seat total when the usage check did not record it, e.g. for an older inactive users file
+    let totalSeats = (checkSummary.seat_breakdown || {}).total || null;
+    if (!totalSeats && safetyLimits.maxRemovalPercent > 0 && dueForRemoval.length > 0) {
+      try {
+        totalSeats = await getSeatTotal(org);
+        console.log(`Total Copilot seats from billing: ${totalSeats}`);
+      } catch (error) {
+        console.error('Error fetching the Copilot seat total:', error.message);
+      }
+    }
+    const abortReason = findRemovalCapExceeded(dueForRemoval.length, totalSeats, safetyLimits);
+    if (abortReason) {
+      console.error(`\n${abortReason}`);
+      dueForRemoval.forEach(user => results.skipped.push({ ...user, reason: abortReason }));
+      dueForRemoval.length = 0;
+      process.exitCode = 1;
+    }
+
+    // Re-verify each seat right before revoking it and stop after too many consecutive API failures
+    let consecutiveFailures = 0;
+    let circuitBreakerReason = null;
+    for (const user of dueForRemoval) {
+      if (circuitBreakerReason) {
+        results.skipped.push({ ...user, reason: circuitBreakerReason });
+        continue;
+      }
+
+      let removalResult = false;
+      try {
+        const seatChange = findSeatChange(user, await getCurrentSeat(org, user.login));
+        if (seatChange) {
+          console.log(`Skipping ${user.login}: ${seatChange}`);
+          results.skipped.push({ ...user, reason: seatChange });
+          consecutiveFailures = 0;
+          continue;
+        }
+        removalResult = await removeCopilotAccess(user, settings);
+      } catch (error) {
+        console.error(`Error re-verifying the Copilot seat of ${user.login}:`, error.message);
+        user.error = `Could not re-verify seat: ${error.message}`;
+        user.api_status = error.response ? error.response.status : null;
+      }
+
       if (removalResult === true) {
+        consecutiveFailures = 0;
+        delete nextWarningState.users[user.login];
         results.successful.push(user);
         console.log(`Successfully removed access for ${user.login} - GitHub will send an automatic notification`);
       } else {
+        consecutiveFailures++;
         results.failed.push(user);
+        if (safetyLimits.maxConsecutiveFailures > 0 && consecutiveFailures >= safetyLimits.maxConsecutiveFailures) {
+          circuitBreakerReason = `Circuit breaker: stopped after ${consecutiveFailures} consecutive API failures`;
+          console.error(`\n${circuitBreakerReason}, skipping the remaining removals`);
+          process.exitCode = 1;
+        }
       }
     }
 
@@ -222,53 +354,122 @@ const removeCopilotAccess = async (user) => {
       });
     }
 
+    // Log warned users
+    if (results.warned.length > 0) {
+      console.log('\nWarned this cycle:');
+      console.log('User Login,Status,Days Inactive,Teams,Last Usage Date,Earliest Removal');
+      results.warned.forEach(user => {
+        console.log(`${user.login},${user.status},${user.days_inactive},"${user.team}",${user.last_used},${user.removal_after}`);
+      });
+    }
+
+    // Persist warnings for the next run; a production run also restarts the dry runs from its warnings
+    saveWarningState(nextWarningState, today, warningStateFile);
+    if (!isDryRun && fs.existsSync(getDryRunStateFile(productionStateFile))) {
+      fs.unlinkSync(getDryRunStateFile(productionStateFile));
+    }
+
     // Generate Markdown report
-    const timestamp = today.toISOString()
-      .replace(/[:]/g, '_')
-      .replace(/[T]/g, '_')
-      .replace(/[.]\d{3}Z$/, '_UTC');
+    const timestamp = formatRunTimestamp(today);
     
-    const reportDir = 'clean-logs';
     if (!fs.existsSync(reportDir)) {
       fs.mkdirSync(reportDir, { recursive: true });
     }
 
-    const mdContent = `# GitHub Copilot Access Removal Report
-
-## Process Information
-- Date: ${today.toUTCString()}
-- Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}
-
-## Summary
-- Successfully Processed: ${results.successful.length} users
-- Failed to Process: ${results.failed.length} users
-- Skipped: ${results.skipped.length} users
-
-## Successfully Processed Users
-| User Login | Status | Days Inactive | Teams | Last Usage Date |
-|------------|--------|---------------|--------|----------------|
-${results.successful.map(user => 
-  `| ${user.login} | ${user.status} | ${user.days_inactive} | ${user.team} | ${user.last_used} |`
-).join('\n')}
-
-## Failed to Process
-| User Login | Status | Days Inactive | Teams | Last Usage Date |
-|------------|--------|---------------|--------|----------------|
-${results.failed.map(user => 
-  `| ${user.login} | ${user.status} | ${user.days_inactive} | ${user.team} | ${user.last_used} |`
-).join('\n')}
-
-## Skipped Users
-| User Login | Status | Days Inactive | Teams | Last Usage Date | Reason |
-|------------|--------|---------------|--------|----------------|---------|
-${results.skipped.map(user => 
-  `| ${user.login} | ${user.status} | ${user.days_inactive} | ${user.team} | ${user.last_used} | ${user.reason} |`
-).join('\n')}
-`;
+    // Estimate savings of this run and of all production runs so far, including this one
+    const planPricing = checkSummary.plan_pricing || resolvePlanPricing(loadPricing());
+    const runSavings = estimateSavings(results.successful.length, planPricing);
+    const cumulativeSavings = getCumulativeSavings(
+      [...listRunLedgers(reportDir).map(loadRunLedger), { dry_run: isDryRun, savings: runSavings }],
+      listRestoreLedgers(reportDir).map(loadRunLedger),
+      planPricing
+    );
+    console.log(`\n${isDryRun ? 'Would save' : 'Saved'} this run: ${describeSavings(runSavings)}`);
+    console.log(`Cumulative savings: ${describeSavings(cumulativeSavings)}`);
+
+    // Per-team usage from the usage check, if it recorded one
+    const breakdownRows = checkSummary.team_breakdown ?
+      [...checkSummary.team_breakdown.teams, checkSummary.team_breakdown.total] :
+      [];
+
+    const report = {
+      date: today,
+      isDryRun,
+      safetyLimits: describeSafetyLimits(safetyLimits),
+      warningState: isDryRun ?
+        `Simulated in ${warningStateFile}, production warnings in ${productionStateFile} are not changed` :
+        warningStateFile,
+      approval: manifest ? `Approved manifest generated on ${manifest.generated_at}` : (approvalMode ? `Removals pending approval in ${MANIFEST_PATH}` : 'Not required'),
+      results,
+      stoppedReason: abortReason || circuitBreakerReason,
+      planPricing,
+      runSavings,
+      cumulativeSavings,
+      breakdownRows,
+      expiredExemptions,
+      changes: checkSummary.changes || null,
+      previousCheckAt: checkSummary.previous_check_at || null
+    };
 
     const reportPath = `${reportDir}/${timestamp}.md`;
-    fs.writeFileSync(reportPath, mdContent);
+    fs.writeFileSync(reportPath, formatRemovalReport(report));
     console.log(`\nMarkdown report has been generated at ${reportPath}`);
+
+    const htmlReportPath = `${reportDir}/${timestamp}.html`;
+    fs.writeFileSync(htmlReportPath, formatRemovalHtmlReport(report));
+    console.log(`HTML report has been generated at ${htmlReportPath}`);
+
+    // Write the machine-readable run ledger, which also lets the restore script undo the run
+    const completedOutcome = isDryRun ? 'dry_run' : 'success';
+    const ledgerPaths = writeRunLedger({
+      kind: 'removal',
+      org,
+      date: today.toISOString(),
+      dry_run: isDryRun,
+      threshold_days: checkSummary.threshold_days === undefined ? null : checkSummary.threshold_days,
+      warning_threshold_days: checkSummary.warning_threshold_days === undefined ? null : checkSummary.warning_threshold_days,
+      grace_days: graceDays,
+      safety_limits: safetyLimits,
+      stopped_reason: abortReason || circuitBreakerReason || null,
+      seat_breakdown: checkSummary.seat_breakdown || null,
+      copilot_team_seats: checkSummary.copilot_team_seats || null,
+      team_breakdown: checkSummary.team_breakdown || null,
+      savings: runSavings,
+      summary: {
+        removed: results.successful.length,
+        failed: results.failed.length,
+        skipped: results.skipped.length,
+        warned: results.warned.length
+      },
+      users: [
+        ...results.successful.map(user => buildLedgerEntry(user, 'remove', completedOutcome, { copilotTeams: user.removed_from_teams })),
+        ...results.failed.map(user => buildLedgerEntry(user, 'remove', 'failed', { copilotTeams: user.removed_from_teams })),
+        // Users keeping their seat are recorded with the Copilot teams granting it, for per-team trends
+        ...results.skipped.map(user => buildLedgerEntry(user, 'skip', 'skipped', { reason: user.reason, copilotTeams: toLedgerTeams(user.copilot_teams) })),
+        ...results.warned.map(user => buildLedgerEntry(user, 'warn', completedOutcome, { reason: user.reason, copilotTeams: toLedgerTeams(user.copilot_teams) }))
+      ]
+    }, timestamp, reportDir);
+    console.log(`Run ledger has been generated at ${ledgerPaths.jsonPath} and ${ledgerPaths.csvPath}`);
+
+    // Notify warned and removed users through the configured channels
+    await sendNotifications({
+      org,
+      date: today,
+      isDryRun,
+      warned: results.warned,
+      removed: results.successful,
+      reportPath,
+      graceDays
+    });
+    
+    // Failed removals and removals deferred by the safety limits stay approved for the next run
+    if (manifest && !isDryRun) {
+      const deferredReasons = [abortReason, circuitBreakerReason].filter(Boolean);
+      settleExecutedManifest(manifest, manifestFile, [
+        ...results.failed,
+        ...results.skipped.filter(user => deferredReasons.includes(user.reason))
+      ].map(user => user.login));
+    }
     
     // Remove the old report files
     if (fs.existsSync('.github/scripts/removal_simulation_results.csv')) {
@@ -283,10 +484,22 @@ ${results.skipped.map(user =>
     console.log(`${isDryRun ? 'Would process' : 'Processed'}: ${results.successful.length} users`);
     console.log(`Failed to process: ${results.failed.length} users`);
     console.log(`Skipped: ${results.skipped.length} users`);
-    
+    console.log(`${isDryRun ? 'Would warn' : 'Warned'}: ${results.warned.length} users`);
+    logRequestSummary();
+    return results;
   } catch (error) {
     // Error handling with detailed logging
     console.error('Error during the process:', error.message);
-    process.exit(1);
+    logRequestSummary();
+    throw error;
   }
-})();
+};
+
+module.exports = {
+  run,
+};
+
+// Run directly when executed as a script
+if (require.main === module) {
+  run().catch(() => process.exit(1));
+}
@@ -0,0 +1,100 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_REPORT_DIR, formatLedgerCsv, listRunLedgers, loadRunLedger } = require('./lib/run-ledger');
+const { describeSavings } = require('./lib/savings');
+const { formatMarkdownReport, formatHtmlReport } = require('./lib/reports');
+
+// Output formats and their file extensions
+const FORMATS = {
+  markdown: 'md',
+  html: 'html',
+  csv: 'csv',
+  json: 'json',
+};
+
+/**
+ * Builds the content of a run ledger report, shared by the Markdown and HTML formats
+ * @param {Object} ledger - Run record
+ * @returns {{title: string, sections: Array<Object>}} Report content
+ */
+const buildLedgerReport = (ledger) => ({
+  title: `GitHub Copilot ${ledger.kind === 'restore' ? 'Restore' : 'Removal'} Run Report`,
+  sections: [
+    {
+      title: 'Process Information',
+      items: [
+        `Organization: ${ledger.org}`,
+        `Date: ${new Date(ledger.date).toUTCString()}`,
+        `Mode: ${ledger.dry_run ? 'DRY RUN' : 'PRODUCTION'}`,
+        ledger.threshold_days ? `Inactivity Threshold: ${ledger.threshold_days} days` : null,
+        ledger.seat_breakdown ? `Seats: ${ledger.seat_breakdown.total} total, ${ledger.seat_breakdown.active_this_cycle} active, ${ledger.seat_breakdown.inactive_this_cycle} inactive this cycle` : null,
+        ledger.savings ? `Savings: ${describeSavings(ledger.savings)}` : null
+      ].filter(Boolean)
+    },
+    {
+      title: 'Summary',
+      items: Object.entries(ledger.summary || {}).map(([outcome, count]) => `${outcome}: ${count} users`)
+    },
+    {
+      title: 'Users',
+      columns: ['User Login', 'Action', 'Outcome', 'Reason', 'Error', 'API Status', 'Days Inactive', 'Teams'],
+      rows: ledger.users.map(entry => [
+        entry.login,
+        entry.action,
+        entry.outcome,
+        entry.reason,
+        entry.error,
+        entry.api_status,
+        entry.days_inactive,
+        entry.team
+      ])
+    }
+  ]
+});
+
+/**
+ * Renders a run ledger as Markdown, HTML, CSV or JSON
+ * @param {Object} [options]
+ * @param {string} [options.input] - Run ledger to render (default: latest run in the report directory)
+ * @param {string} [options.format] - 'markdown' (default), 'html', 'csv' or 'json'
+ * @param {string} [options.outputDir] - Directory to write the report to; printed to stdout if omitted
+ * @returns {Promise<string>} Rendered report
+ */
+const run = async (options = {}) => {
+  try {
+    const format = options.format || 'markdown';
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown report format: ${format}. Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const ledgerPath = options.input || listRunLedgers(DEFAULT_REPORT_DIR).pop();
+    if (!ledgerPath) {
+      throw new Error(`No run ledger found in ${DEFAULT_REPORT_DIR}. Pass --input with the ledger to render.`);
+    }
+    const ledger = loadRunLedger(ledgerPath);
+
+    const content = format === 'json' ? `${JSON.stringify(ledger, null, 2)}\n` :
+      format === 'csv' ? formatLedgerCsv(ledger) :
+      format === 'html' ? formatHtmlReport(buildLedgerReport(ledger)) :
+      formatMarkdownReport(buildLedgerReport(ledger));
+
+    if (options.outputDir) {
+      fs.mkdirSync(options.outputDir, { recursive: true });
+      const reportPath = path.join(options.outputDir, `${path.basename(ledgerPath, '.json')}_report.${FORMATS[format]}`);
+      fs.writeFileSync(reportPath, content);
+      console.log(`Report has been generated at ${reportPath}`);
+    } else {
+      process.stdout.write(content);
+    }
+    return content;
+  } catch (error) {
+    // Error handling with detailed logging
+    console.error('Error rendering the report:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,325 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_REPORT_DIR,
+  listRunLedgers,
+  listRestoreLedgers,
+  listLegacyReports,
+  loadRunLedger,
+  getEntryCopilotTeams
+} = require('./lib/run-ledger');
+const { parseReferenceDate } = require('./lib/options');
+const { formatCsv, formatMarkdownTable } = require('./lib/reports');
+
+// Columns of the trends CSV, one row per run
+const CSV_COLUMNS = [
+  'date',
+  'kind',
+  'mode',
+  'seats_total',
+  'seats_active',
+  'seats_inactive',
+  'removed',
+  'failed',
+  'warned',
+  'skipped',
+  'restored',
+];
+
+/**
+ * Reads a Markdown report written before runs kept a ledger, recovering its mode and removed users
+ * @param {string} reportPath - Path of the Markdown report
+ * @returns {Object} Run record with the fields a ledger would have
+ */
+const loadLegacyReport = (reportPath) => {
+  const content = fs.readFileSync(reportPath, 'utf8');
+  const [, day, hours, minutes, seconds] = path.basename(reportPath)
+    .match(/^(\d{4}-\d{2}-\d{2})_(\d{2})_(\d{2})_(\d{2})_UTC\.md$/);
+
+  // Rows of the "Successfully Processed Users" table: login, status, days inactive, teams, last usage
+  const section = content.split('## Successfully Processed Users')[1] || '';
+  const rows = section.split('\n## ')[0]
+    .split('\n')
+    .filter(line => line.startsWith('| ') && !line.startsWith('| User Login'))
+    .map(line => line.split('|').slice(1, -1).map(cell => cell.trim()));
+
+  return {
+    kind: 'removal',
+    date: `${day}T${hours}:${minutes}:${seconds}.000Z`,
+    dry_run: !content.includes('- Mode: PRODUCTION'),
+    seat_breakdown: null,
+    users: rows.map(([login, status, , team]) => ({ login, action: 'remove', outcome: 'success', status, team })),
+  };
+};
+
+/**
+ * Counts the user entries of a run with a given action and outcome
+ * @param {Object} ledger - Run record
+ * @param {string} action - Attempted action
+ * @param {Array<string>} outcomes - Outcomes to count
+ * @returns {number} Number of matching entries
+ */
+const countEntries = (ledger, action, outcomes) =>
+  ledger.users.filter(entry => entry.action === action && outcomes.includes(entry.outcome)).length;
+
+/**
+ * Lists the names of the Copilot teams recorded for a user
+ * @param {Object} entry - User entry from a run ledger
+ * @returns {Array<string>} Team names
+ */
+const getEntryTeamNames = (entry) => getEntryCopilotTeams(entry).map(team => team.name);
+
+/**
+ * Counts production removals and restores per month
+ * @param {Array<Object>} removalRuns - Removal run records
+ * @param {Array<Object>} restoreRuns - Restore run records
+ * @returns {Array<{month: string, removed: number, restored: number}>} Counts, oldest month first
+ */
+const getMonthlyCounts = (removalRuns, restoreRuns) => {
+  const months = new Map();
+  const add = (ledger, key, count) => {
+    const month = ledger.date.slice(0, 7);
+    const counts = months.get(month) || { month, removed: 0, restored: 0 };
+    counts[key] += count;
+    months.set(month, counts);
+  };
+  removalRuns.filter(ledger => !ledger.dry_run).forEach(ledger => add(ledger, 'removed', countEntries(ledger, 'remove', ['success'])));
+  restoreRuns.filter(ledger => !ledger.dry_run).forEach(ledger => add(ledger, 'restored', countEntries(ledger, 'restore', ['success'])));
+  return Array.from(months.values()).sort((a, b) => a.month.localeCompare(b.month));
+};
+
+/**
+ * Finds users whose seat was removed, restored and then removed again
+ * @param {Array<Object>} removalRuns - Removal run records
+ * @param {Array<Object>} restoreRuns - Restore run records
+ * @returns {Array<Object>} Repeat offenders with their removal and restore history
+ */
+const getRepeatOffenders = (removalRuns, restoreRuns) => {
+  // Replay production removals and restores in order, per user
+  const events = [
+    ...removalRuns.filter(ledger => !ledger.dry_run).flatMap(ledger => ledger.users
+      .filter(entry => entry.action === 'remove' && entry.outcome === 'success')
+      .map(entry => ({ login: entry.login, type: 'removed', date: ledger.date }))),
+    ...restoreRuns.filter(ledger => !ledger.dry_run).flatMap(ledger => ledger.users
+      .filter(entry => entry.action === 'restore' && entry.outcome === 'success')
+      .map(entry => ({ login: entry.login, type: 'restored', date: ledger.date }))),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const history = new Map();
+  events.forEach(event => {
+    const user = history.get(event.login) || { login: event.login, removed: [], restored: [], repeat: false };
+    // Removed again after a restore that followed an earlier removal
+    if (event.type === 'removed' && user.restored.length > 0 && user.removed.length > 0) {
+      user.repeat = true;
+    }
+    user[event.type].push(event.date.slice(0, 10));
+    history.set(event.login, user);
+  });
+  return Array.from(history.values())
+    .filter(user => user.repeat)
+    .sort((a, b) => b.removed.length - a.removed.length || a.login.localeCompare(b.login));
+};
+
+/**
+ * Computes per-Copilot-team inactivity rates from the runs that recorded seats per Copilot team
+ * @param {Array<Object>} removalRuns - Removal run records
+ * @returns {Array<Object>} Per-team seats, inactive users and removals, highest latest rate first
+ */
+const getTeamInactivity = (removalRuns) => {
+  const teams = new Map();
+  const getTeam = (name) => {
+    if (!teams.has(name)) {
+      teams.set(name, { team: name, seats: null, inactive: null, total_seats: 0, total_inactive: 0, removed: 0 });
+    }
+    return teams.get(name);
+  };
+
+  removalRuns.forEach(ledger => {
+    // Users past the inactivity threshold, not those only due for a warning
+    const inactiveEntries = ledger.users.filter(entry => entry.status && entry.status !== 'Warning');
+    if (ledger.copilot_team_seats) {
+      Object.entries(ledger.copilot_team_seats).forEach(([name, seats]) => {
+        const team = getTeam(name);
+        const inactive = inactiveEntries.filter(entry => getEntryTeamNames(entry).includes(name)).length;
+        // Runs are processed oldest first, so the last one seen is the latest
+        team.seats = seats;
+        team.inactive = inactive;
+        team.total_seats += seats;
+        team.total_inactive += inactive;
+      });
+    }
+    if (!ledger.dry_run) {
+      ledger.users
+        .filter(entry => entry.action === 'remove' && entry.outcome === 'success')
+        .forEach(entry => getEntryTeamNames(entry).forEach(name => { getTeam(name).removed += 1; }));
+    }
+  });
+
+  const rate = (inactive, seats) => (seats > 0 ? inactive / seats : null);
+  return Array.from(teams.values())
+    .map(team => ({
+      ...team,
+      rate: rate(team.inactive, team.seats),
+      average_rate: rate(team.total_inactive, team.total_seats),
+    }))
+    .sort((a, b) => (b.rate || 0) - (a.rate || 0) || b.removed - a.removed || a.team.localeCompare(b.team));
+};
+
+/**
+ * Formats a ratio as a percentage
+ * @param {number|null} value - Ratio between 0 and 1
+ * @returns {string} Percentage, or n/a if unknown
+ */
+const formatRate = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Formats a Mermaid XY chart
+ * @param {string} title - Chart title
+ * @param {Array<string>} labels - X-axis labels
+ * @param {string} yLabel - Y-axis label
+ * @param {Array<{type: string, values: Array<number>}>} series - Lines or bars to plot
+ * @returns {string} Mermaid code block
+ */
+const formatMermaidChart = (title, labels, yLabel, series) => `\`\`\`mermaid
+xychart-beta
+    title "${title}"
+    x-axis [${labels.map(label => `"${label}"`).join(', ')}]
+    y-axis "${yLabel}"
+${series.map(({ type, values }) => `    ${type} [${values.join(', ')}]`).join('\n')}
+\`\`\``;
+
+/**
+ * Formats the trends of all runs as a Markdown report with Mermaid charts
+ * @param {Object} trends - Aggregated trends
+ * @returns {string} Markdown report
+ */
+const formatTrendsMarkdown = ({ generatedAt, runs, seatRuns, monthly, repeatOffenders, teamInactivity }) => `# GitHub Copilot Seat Trends
+
+## Overview
+- Generated: ${generatedAt.toUTCString()}
+- Removal Runs: ${runs.filter(ledger => ledger.kind === 'removal').length} (${runs.filter(ledger => ledger.kind === 'removal' && !ledger.dry_run).length} production)
+- Restore Runs: ${runs.filter(ledger => ledger.kind === 'restore').length}
+- Seats Removed: ${monthly.reduce((total, month) => total + month.removed, 0)}
+- Seats Restored: ${monthly.reduce((total, month) => total + month.restored, 0)}
+
+## Seats Over Time
+${seatRuns.length > 0 ? `${formatMermaidChart('Copilot seats (total, active, inactive)', seatRuns.map(ledger => ledger.date.slice(0, 10)), 'Seats', [
+  { type: 'line', values: seatRuns.map(ledger => ledger.seat_breakdown.total) },
+  { type: 'line', values: seatRuns.map(ledger => ledger.seat_breakdown.active_this_cycle) },
+  { type: 'line', values: seatRuns.map(ledger => ledger.seat_breakdown.inactive_this_cycle) },
+])}
+
+${formatMarkdownTable(['Date', 'Mode', 'Total', 'Active', 'Inactive'], seatRuns.map(ledger => [
+  ledger.date.slice(0, 10),
+  ledger.dry_run ? 'DRY RUN' : 'PRODUCTION',
+  ledger.seat_breakdown.total,
+  ledger.seat_breakdown.active_this_cycle,
+  ledger.seat_breakdown.inactive_this_cycle
+]))}` : 'No run recorded a seat breakdown yet.'}
+
+## Removals per Month
+${monthly.length > 0 ? `${formatMermaidChart('Seats removed per month', monthly.map(month => month.month), 'Seats', [
+  { type: 'bar', values: monthly.map(month => month.removed) },
+])}
+
+${formatMarkdownTable(['Month', 'Removed', 'Restored'], monthly.map(month => [month.month, month.removed, month.restored]))}` : 'No production runs recorded yet.'}
+
+## Repeat Offenders
+Users whose seat was removed, restored and then removed again.
+
+${formatMarkdownTable(['User Login', 'Times Removed', 'Times Restored', 'Removed On', 'Restored On'], repeatOffenders.map(user => [
+  user.login,
+  user.removed.length,
+  user.restored.length,
+  user.removed.join(', '),
+  user.restored.join(', ')
+]))}
+
+## Inactivity by Copilot Team
+Inactive users are those past the inactivity threshold; the average rate covers every run that recorded seats per Copilot team.
+
+${formatMarkdownTable(['Team', 'Seats', 'Inactive', 'Inactivity Rate', 'Average Rate', 'Removed (all runs)'], teamInactivity.map(team => [
+  team.team,
+  team.seats === null ? 'n/a' : team.seats,
+  team.inactive === null ? 'n/a' : team.inactive,
+  formatRate(team.rate),
+  formatRate(team.average_rate),
+  team.removed
+]))}
+`;
+
+/**
+ * Formats one row per run as CSV
+ * @param {Array<Object>} runs - Removal and restore run records, oldest first
+ * @returns {string} CSV content with a header row
+ */
+const formatTrendsCsv = (runs) => formatCsv(CSV_COLUMNS, runs.map(ledger => {
+  const breakdown = ledger.seat_breakdown || {};
+  return [
+    ledger.date,
+    ledger.kind,
+    ledger.dry_run ? 'dry_run' : 'production',
+    breakdown.total,
+    breakdown.active_this_cycle,
+    breakdown.inactive_this_cycle,
+    countEntries(ledger, 'remove', ['success', 'dry_run']),
+    countEntries(ledger, 'remove', ['failed']) + countEntries(ledger, 'restore', ['failed']),
+    countEntries(ledger, 'warn', ['success', 'dry_run']),
+    countEntries(ledger, 'skip', ['skipped']),
+    countEntries(ledger, 'restore', ['success', 'dry_run']),
+  ];
+}));
+
+/**
+ * Aggregates all past runs into a trend report, written as Markdown and CSV
+ * @param {Object} [options]
+ * @param {string} [options.input] - Directory holding the reports and ledgers of past runs (default clean-logs)
+ * @param {string} [options.outputDir] - Directory to write trends.md and trends.csv to (default: the input directory)
+ * @param {string} [options.date] - Reference date as "YYYY-MM-DD HH:MM:SS" UTC (CURRENT_DATE)
+ * @returns {Promise<Object>} Aggregated trends
+ */
+const run = async (options = {}) => {
+  try {
+    const reportDir = options.input || DEFAULT_REPORT_DIR;
+    const outputDir = options.outputDir || reportDir;
+    const generatedAt = parseReferenceDate(options.date);
+
+    // Load every run, recovering runs from before ledgers were kept from their Markdown reports
+    const legacyReports = listLegacyReports(reportDir);
+    const removalRuns = [
+      ...listRunLedgers(reportDir).map(loadRunLedger),
+      ...legacyReports.map(loadLegacyReport)
+    ].sort((a, b) => a.date.localeCompare(b.date));
+    const restoreRuns = listRestoreLedgers(reportDir).map(loadRunLedger);
+    const runs = [...removalRuns, ...restoreRuns].sort((a, b) => a.date.localeCompare(b.date));
+    console.log(`Found ${removalRuns.length} removal runs (${legacyReports.length} without a ledger) and ${restoreRuns.length} restore runs in ${reportDir}`);
+
+    const trends = {
+      generatedAt,
+      runs,
+      seatRuns: removalRuns.filter(ledger => ledger.seat_breakdown),
+      monthly: getMonthlyCounts(removalRuns, restoreRuns),
+      repeatOffenders: getRepeatOffenders(removalRuns, restoreRuns),
+      teamInactivity: getTeamInactivity(removalRuns),
+    };
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const markdownPath = path.join(outputDir, 'trends.md');
+    fs.writeFileSync(markdownPath, formatTrendsMarkdown(trends));
+    const csvPath = path.join(outputDir, 'trends.csv');
+    fs.writeFileSync(csvPath, formatTrendsCsv(runs));
+    console.log(`Trend report has been generated at ${markdownPath} and ${csvPath}`);
+
+    console.log(`Repeat offenders: ${trends.repeatOffenders.length} users`);
+    return trends;
+  } catch (error) {
+    // Error handling with detailed logging
+    console.error('Error rendering the trend report:', error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,266 @@
+// Import required dependencies
+const fs = require('fs');
+const { request, logRequestSummary } = require('./lib/github-client');
+const {
+  DEFAULT_REPORT_DIR,
+  formatRunTimestamp,
+  buildLedgerEntry,
+  writeRunLedger,
+  listRunLedgers,
+  loadRunLedger,
+  getEntryCopilotTeams
+} = require('./lib/run-ledger');
+const { formatMarkdownTable } = require('./lib/reports');
+const { parseReferenceDate, resolveDryRun, resolveOrg } = require('./lib/options');
+
+/**
+ * Finds the ledger of the most recent production removal run
+ * @param {string} reportDir - Directory holding reports and ledgers
+ * @returns {string|null} Ledger path or null if no production run was recorded
+ */
+const findLatestProductionLedger = (reportDir) => listRunLedgers(reportDir)
+  .reverse()
+  .find(ledgerPath => !loadRunLedger(ledgerPath).dry_run) || null;
+
+/**
+ * Extracts the message of a failed API call for the restore ledger
+ * @param {Error} error - Error thrown by the API client
+ * @returns {string} GitHub's error message, or the error message
+ */
+const getErrorMessage = (error) => (error.response && error.response.data && error.response.data.message ?
+  error.response.data.message :
+  error.message);
+
+/**
+ * Re-grants a Copilot seat the same way it was granted before removal: by adding the
+ * user back to the teams they were removed from, or by assigning the seat directly.
+ * Every team is attempted; the teams the user is back in are kept as restored_teams.
+ * @param {Object} entry - Removed user entry from the run ledger
+ * @param {Object} settings - Run settings with org and isDryRun
+ * @returns {Promise<boolean>} Success status of the restore operation, false if any team was not re-added
+ */
+const restoreCopilotAccess = async (entry, { org, isDryRun }) => {
+  const teams = getEntryCopilotTeams(entry);
+  try {
+    if (teams.length > 0) {
+      entry.restored_teams = [];
+      const failures = [];
+      for (const team of teams) {
+        console.log(`Adding user ${entry.login} back to Copilot Access team: ${team.name} (slug: ${team.slug})`);
+        if (isDryRun) {
+          entry.restored_teams.push(team);
+          continue;
+        }
+        try {
+          const response = await request('put', `/orgs/${org}/teams/${team.slug}/memberships/${entry.login}`, {
+            data: { role: 'member' },
+          });
+          entry.api_status = response.status;
+          entry.restored_teams.push(team);
+        } catch (error) {
+          console.error(`Error adding ${entry.login} back to team ${team.name}:`, error.message);
+          entry.api_status = error.response ? error.response.status : null;
+          failures.push(`${team.name}: ${getErrorMessage(error)}`);
+        }
+      }
+
+      // A seat restored through some of the teams only is reported as failed, naming what is missing
+      if (failures.length > 0) {
+        entry.error = `Failed to re-add to ${failures.join('; ')}`;
+        if (entry.restored_teams.length > 0) {
+          entry.error = `Partially restored through ${entry.restored_teams.map(team => team.name).join(', ')}. ${entry.error}`;
+        }
+        console.error(`Could not fully restore Copilot access for ${entry.login}: ${entry.error}`);
+        return false;
+      }
+    } else {
+      console.log(`Assigning Copilot seat to user: ${entry.login}`);
+      if (!isDryRun) {
+        const response = await request('post', `/orgs/${org}/copilot/billing/selected_users`, {
+          data: { selected_usernames: [entry.login] },
+        });
+        entry.api_status = response.status;
+      }
+    }
+
+    console.log(`${isDryRun ? '[DRY RUN] Would have restored' : 'Restored'} Copilot access for user: ${entry.login}`);
+    return true;
+  } catch (error) {
+    console.error(`Error restoring Copilot access for ${entry.login}:`, error.message);
+    // Keep the failure details for the restore ledger
+    entry.error = getErrorMessage(error);
+    entry.api_status = error.response ? error.response.status : null;
+    if (error.response) {
+      console.error('Response:', JSON.stringify(error.response.data, null, 2));
+    }
+    return false;
+  }
+};
+
+/**
+ * Describes how a seat is restored for reports
+ * @param {Object} entry - Removed user entry from the run ledger
+ * @returns {string} Restore method
+ */
+const describeRestoreMethod = (entry) => {
+  const teams = getEntryCopilotTeams(entry);
+  return teams.length > 0 ?
+    `Team ${teams.map(team => team.name).join(', ')}` :
+    'Direct seat assignment';
+};
+
+/**
+ * Re-grants seats removed by a previous run, as recorded in its run ledger
+ * @param {Object} [options] - Settings; each defaults to its environment variable
+ * @param {string} [options.org] - Organization name (ORG_NAME)
+ * @param {boolean} [options.dryRun] - Only log what would change (DRY_RUN, dry unless 'false')
+ * @param {string} [options.users] - Comma-separated logins to restore, or 'all' (RESTORE_USERS, default all)
+ * @param {string} [options.date] - Reference date as "YYYY-MM-DD HH:MM:SS" UTC (CURRENT_DATE)
+ * @param {string} [options.input] - Run ledger to undo (RESTORE_LEDGER, default latest production run)
+ * @param {string} [options.outputDir] - Directory holding reports and ledgers (default clean-logs)
+ * @returns {Promise<Object>} Results by outcome
+ */
+const run = async (options = {}) => {
+  try {
+    // Resolve settings, falling back to environment variables
+    const org = resolveOrg(options.org);
+    const isDryRun = resolveDryRun(options.dryRun);
+    const requestedUsers = (options.users || process.env.RESTORE_USERS || '')
+      .split(',')
+      .map(login => login.trim())
+      .filter(login => login && login !== 'all');
+    const today = parseReferenceDate(options.date);
+    const reportDir = options.outputDir || DEFAULT_REPORT_DIR;
+    const settings = { org, isDryRun };
+
+    // Log initial configuration
+    console.log(`Current Date and Time (UTC): ${today.toISOString()}`);
+    console.log(`Users to restore: ${requestedUsers.length > 0 ? requestedUsers.join(', ') : 'all'}`);
+    console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}\n`);
+
+    console.log('Copilot Access Restore Process');
+    console.log('==============================');
+
+    // Load the ledger of the run to undo
+    const ledgerPath = options.input || process.env.RESTORE_LEDGER || findLatestProductionLedger(reportDir);
+    if (!ledgerPath) {
+      throw new Error('No production run ledger found. Pass --input or set RESTORE_LEDGER to the ledger of the run to undo.');
+    }
+
+    const ledger = loadRunLedger(ledgerPath);
+    console.log(`Restoring from run ledger: ${ledgerPath} (${ledger.date})`);
+    if (ledger.dry_run) {
+      throw new Error(`${ledgerPath} records a dry run, no seats were removed in that run.`);
+    }
+    if (ledger.org !== org) {
+      throw new Error(`${ledgerPath} records a run for organization ${ledger.org}, not ${org}.`);
+    }
+
+    // Select the removed users to restore, without the API details of their removal
+    const removedUsers = ledger.users
+      .filter(entry => entry.action === 'remove' && entry.outcome === 'success')
+      .map(entry => ({ ...entry, error: null, api_status: null, restored_teams: null }));
+    const usersToRestore = requestedUsers.length > 0 ?
+      removedUsers.filter(entry => requestedUsers.includes(entry.login)) :
+      removedUsers;
+    const notFound = requestedUsers.filter(login => !removedUsers.some(entry => entry.login === login));
+    notFound.forEach(login => console.warn(`Warning: ${login} was not removed in this run, skipping.`));
+
+    console.log(`Found ${usersToRestore.length} users to restore.\n`);
+
+    // Initialize result tracking
+    const results = {
+      successful: [],
+      failed: []
+    };
+
+    // Process each user
+    for (const entry of usersToRestore) {
+      const restoreResult = await restoreCopilotAccess(entry, settings);
+      if (restoreResult === true) {
+        results.successful.push(entry);
+      } else {
+        results.failed.push(entry);
+      }
+    }
+
+    // Generate Markdown report
+    const timestamp = `${formatRunTimestamp(today)}_restore`;
+    if (!fs.existsSync(reportDir)) {
+      fs.mkdirSync(reportDir, { recursive: true });
+    }
+
+    const mdContent = `# GitHub Copilot Access Restore Report
+
+## Process Information
+- Date: ${today.toUTCString()}
+- Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}
+- Restored From: ${ledgerPath}
+
+## Summary
+- Successfully Restored: ${results.successful.length} users
+- Failed to Restore: ${results.failed.length} users
+- Not Found in Run: ${notFound.length} users
+
+## Successfully Restored Users
+${formatMarkdownTable(['User Login', 'Restored Via'], results.successful.map(entry => [entry.login, describeRestoreMethod(entry)]))}
+
+## Failed to Restore
+${formatMarkdownTable(['User Login', 'Restored Via', 'Error'], results.failed.map(entry => [entry.login, describeRestoreMethod(entry), entry.error]))}
+
+## Not Found in Run
+${formatMarkdownTable(['User Login'], notFound.map(login => [login]))}
+`;
+
+    const reportPath = `${reportDir}/${timestamp}.md`;
+    fs.writeFileSync(reportPath, mdContent);
+    console.log(`\nMarkdown report has been generated at ${reportPath}`);
+
+    // Record restored users next to the removal ledgers
+    const completedOutcome = isDryRun ? 'dry_run' : 'success';
+    const restoreLedgerPaths = writeRunLedger({
+      kind: 'restore',
+      org,
+      date: today.toISOString(),
+      dry_run: isDryRun,
+      source_ledger: ledgerPath,
+      summary: {
+        restored: results.successful.length,
+        failed: results.failed.length,
+        not_found: notFound.length
+      },
+      users: [
+        ...results.successful.map(entry => buildLedgerEntry(entry, 'restore', completedOutcome, { copilotTeams: getEntryCopilotTeams(entry) })),
+        // Failed entries list the teams the user is back in, the error names the missing ones
+        ...results.failed.map(entry => buildLedgerEntry(entry, 'restore', 'failed', { copilotTeams: entry.restored_teams || [] }))
+      ]
+    }, timestamp, reportDir);
+    console.log(`Restore ledger has been generated at ${restoreLedgerPaths.jsonPath} and ${restoreLedgerPaths.csvPath}`);
+
+    // Log summary
+    console.log('\nProcess completed.');
+    console.log(`${isDryRun ? 'Would restore' : 'Restored'}: ${results.successful.length} users`);
+    console.log(`Failed to restore: ${results.failed.length} users`);
+    logRequestSummary();
+
+    // Signal failed restores through the exit code without aborting the caller
+    if (results.failed.length > 0) {
+      process.exitCode = 1;
+    }
+    return results;
+  } catch (error) {
+    // Error handling with detailed logging
+    console.error('Error during the restore process:', error.message);
+    logRequestSummary();
+    throw error;
+  }
+};
+
+module.exports = {
+  run,
+};
+
+// Run directly when executed as a script
+if (require.main === module) {
+  run().catch(() => process.exit(1));
+}
@@ -0,0 +1,378 @@
+// Import required dependencies
+const fs = require('fs');
+const path = require('path');
+const { paginate, logRequestSummary } = require('./lib/github-client');
+const { DEFAULT_REPORT_DIR, formatRunTimestamp } = require('./lib/run-ledger');
+const { loadPricing, resolvePlanPricing, estimateSavings, describeSavings } = require('./lib/savings');
+const { DEFAULT_WORK_DIR, parseReferenceDate, resolveDryRun } = require('./lib/options');
+const { formatMarkdownTable } = require('./lib/reports');
+const checkCopilotUsage = require('./check-copilot-usage');
+const removeInactiveUsers = require('./remove-inactive-users');
+const reassignSeats = require('./reassign-seats');
+const reconcileSeats = require('./reconcile-seats');
+const renderTrends = require('./render-trends');
+
+/**
+ * Discovers the organizations of an enterprise from its Copilot seats
+ * @param {string} enterprise - Enterprise slug
+ * @returns {Promise<Array<string>>} Organization logins holding Copilot seats, sorted
+ */
+const getEnterpriseOrgs = async (enterprise) => {
+  console.log(`Discovering organizations of enterprise ${enterprise} from its Copilot seats...`);
+  try {
+    const seats = await paginate(`/enterprises/${enterprise}/copilot/billing/seats`, { itemsKey: 'seats' });
+    const orgs = Array.from(new Set(seats
+      .map(seat => seat.organization && seat.organization.login)
+      .filter(Boolean))).sort();
+    console.log(`Found ${orgs.length} organizations with Copilot seats: ${orgs.join(', ')}`);
+    return orgs;
+  } catch (error) {
+    console.error(`Error fetching Copilot seats of enterprise ${enterprise}:`, error.message);
+    throw error;
+  }
+};
+
+/**
+ * Resolves the organizations to process from an explicit list or an enterprise slug
+ * @param {Object} options - Runner options
+ * @returns {Promise<Array<string>>} Organization logins
+ */
+const resolveOrgs = async (options) => {
+  const orgList = options.orgs || process.env.ORG_NAMES || '';
+  const orgs = (Array.isArray(orgList) ? orgList : orgList.split(','))
+    .map(org => org.trim())
+    .filter(Boolean);
+  if (orgs.length > 0) return Array.from(new Set(orgs));
+
+  const enterprise = options.enterprise || process.env.ENTERPRISE_SLUG;
+  if (!enterprise) {
+    throw new Error('Organizations are required: pass --orgs or --enterprise, or set ORG_NAMES or ENTERPRISE_SLUG.');
+  }
+  const enterpriseOrgs = await getEnterpriseOrgs(enterprise);
+  if (enterpriseOrgs.length === 0) {
+    throw new Error(`No organizations with Copilot seats found in enterprise ${enterprise}.`);
+  }
+  return enterpriseOrgs;
+};
+
+/**
+ * Resolves a state file of one organization, so organizations never share warnings or cached seats,
+ * also when the path is set for a single organization through the environment
+ * @param {string|undefined} configuredFile - Path from the environment, e.g. WARNING_STATE_FILE
+ * @param {string} org - Organization name
+ * @param {string} defaultFile - Path of the organization's file when none is configured
+ * @returns {string} State file of the organization, e.g. state/acme/warning-state.json for state/warning-state.json
+ */
+const getOrgStateFile = (configuredFile, org, defaultFile) => (configuredFile ?
+  path.join(path.dirname(configuredFile), org, path.basename(configuredFile)) :
+  defaultFile);
+
+/**
+ * Keeps the seats of inactive users who are active in another organization: the enterprise bills
+ * a user once, so removing their other seats saves nothing. The users are flagged as exempt in the
+ * inactive users file of each organization, which the removal step skips with the reason.
+ * @param {Array<Object>} orgRuns - Usage check summary and work directory per organization
+ * @returns {number} Number of seats kept
+ */
+const keepSeatsActiveElsewhere = (orgRuns) => {
+  const checkedRuns = orgRuns.filter(orgRun => !orgRun.error);
+  const activeOrgs = new Map();
+  checkedRuns.forEach(orgRun => {
+    Object.entries(orgRun.checkSummary.seat_statuses || {})
+      .filter(([, status]) => status === 'Active')
+      .forEach(([login]) => activeOrgs.set(login, [...(activeOrgs.get(login) || []), orgRun.org]));
+  });
+
+  let keptSeats = 0;
+  checkedRuns.forEach(orgRun => {
+    const inactiveUsersFile = path.join(orgRun.workDir, 'inactive_users.txt');
+    const inactiveUsers = JSON.parse(fs.readFileSync(inactiveUsersFile, 'utf8'));
+    inactiveUsers.forEach(user => {
+      const otherOrgs = (activeOrgs.get(user.login) || []).filter(org => org !== orgRun.org);
+      if (otherOrgs.length === 0 || user.exempt_reason) return;
+      user.exempt_reason = `Active Copilot seat in ${otherOrgs.join(', ')}`;
+      console.log(`Keeping the seat of ${user.login} in ${orgRun.org}: active in ${otherOrgs.join(', ')}`);
+      keptSeats++;
+    });
+    fs.writeFileSync(inactiveUsersFile, JSON.stringify(inactiveUsers, null, 2));
+  });
+  return keptSeats;
+};
+
+/**
+ * Runs the steps that follow a removal in the single-organization workflow: reassigning the freed
+ * seats, reconciling the audit log and updating the trend report of the organization
+ * @param {Object} orgRun - Removal run of the organization
+ * @param {Object} options - Runner options
+ * @param {boolean} isDryRun - Only log what would change
+ * @returns {Promise<Array<string>>} Failed steps with their error; a failure does not stop the other steps
+ */
+const runFollowUpSteps = async (orgRun, options, isDryRun) => {
+  // Without inactive users the removal wrote no ledger, so no seats were freed and there is nothing to reconcile
+  const steps = [
+    ...(orgRun.results ? [
+      ['reassign', () => reassignSeats.run({ org: orgRun.org, dryRun: isDryRun, date: options.date, outputDir: orgRun.reportDir })],
+      ['reconcile', () => reconcileSeats.run({ org: orgRun.org, outputDir: orgRun.reportDir })],
+    ] : []),
+    ['trends', () => renderTrends.run({ input: orgRun.reportDir, date: options.date })],
+  ];
+  const failures = [];
+  for (const [name, runStep] of steps) {
+    try {
+      await runStep();
+    } catch (error) {
+      console.error(`Error running ${name} for organization ${orgRun.org}:`, error.message);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+  return failures;
+};
+
+/**
+ * Describes what happened to a user's seat in one organization
+ * @param {Object|null} results - Results of the removal run, or null if there was nothing to process
+ * @param {string} login - User login
+ * @param {string} status - Seat status from the usage check
+ * @returns {{outcome: string, reason: string|null}} Outcome of the seat
+ */
+const getSeatOutcome = (results, login, status) => {
+  const outcomes = [['successful', 'removed'], ['failed', 'failed'], ['skipped', 'skipped'], ['warned', 'warned']];
+  for (const [key, outcome] of outcomes) {
+    const user = results && results[key].find(entry => entry.login === login);
+    if (user) return { outcome, reason: user.reason || user.error || null };
+  }
+  return { outcome: status === 'Active' ? 'active' : 'kept', reason: null };
+};
+
+/**
+ * Combines the runs of all organizations into one entry per user, so users holding seats
+ * in several organizations are counted once
+ * @param {Array<Object>} orgRuns - Usage check summary and removal results per organization
+ * @returns {Array<Object>} Users with their seat in every organization, sorted by login
+ */
+const combineUsers = (orgRuns) => {
+  const users = new Map();
+  orgRuns.filter(orgRun => !orgRun.error).forEach(orgRun => {
+    Object.entries(orgRun.checkSummary.seat_statuses || {}).forEach(([login, status]) => {
+      const user = users.get(login) || { login, seats: [] };
+      user.seats.push({ org: orgRun.org, status, ...getSeatOutcome(orgRun.results, login, status) });
+      users.set(login, user);
+    });
+  });
+  return Array.from(users.values())
+    .map(user => ({ ...user, fully_removed: user.seats.every(seat => seat.outcome === 'removed') }))
+    .sort((a, b) => a.login.localeCompare(b.login));
+};
+
+/**
+ * Formats a user's seats across organizations for the report
+ * @param {Object} user - Combined user entry
+ * @returns {string} Seats such as "acme: removed, beta: active"
+ */
+const describeSeats = (user) => user.seats.map(seat => `${seat.org}: ${seat.outcome}`).join(', ');
+
+/**
+ * Formats the per-organization section of the consolidated report
+ * @param {Object} orgRun - Usage check summary and removal results of the organization
+ * @returns {string} Markdown section
+ */
+const formatOrgSection = (orgRun) => {
+  if (orgRun.error) {
+    return `## Organization: ${orgRun.org}
+- Failed: ${orgRun.error}
+`;
+  }
+
+  const results = orgRun.results || { successful: [], failed: [], skipped: [], warned: [] };
+  const breakdown = orgRun.checkSummary.seat_breakdown || {};
+  const rows = [
+    ...results.successful.map(user => ({ ...user, outcome: 'removed' })),
+    ...results.failed.map(user => ({ ...user, outcome: 'failed', reason: user.error })),
+    ...results.skipped.map(user => ({ ...user, outcome: 'skipped' })),
+    ...results.warned.map(user => ({ ...user, outcome: 'warned' })),
+  ];
+
+  return `## Organization: ${orgRun.org}
+- Seats: ${breakdown.total} total, ${breakdown.active_this_cycle} active, ${breakdown.inactive_this_cycle} inactive this cycle
+- Removed: ${results.successful.length} users
+- Failed: ${results.failed.length} users
+- Skipped: ${results.skipped.length} users
+- Warned: ${results.warned.length} users
+${orgRun.followUpErrors.length > 0 ? `- Follow-up Steps Failed: ${orgRun.followUpErrors.join('; ')}\n` : ''}- Reports: ${orgRun.reportDir}
+
+${formatMarkdownTable(['User Login', 'Outcome', 'Status', 'Days Inactive', 'Teams', 'Reason'], rows.map(user =>
+  [user.login, user.outcome, user.status, user.days_inactive, user.team, user.reason || '']))}
+`;
+};
+
+/**
+ * Runs the usage check and removal for several organizations, followed by the reassignment,
+ * reconciliation and trends of each organization, and writes one consolidated report
+ * @param {Object} [options] - Settings; each defaults to its environment variable
+ * @param {string|Array<string>} [options.orgs] - Organizations to process (ORG_NAMES, comma-separated)
+ * @param {string} [options.enterprise] - Enterprise whose organizations are processed when no list is given (ENTERPRISE_SLUG)
+ * @param {number} [options.threshold] - Days of inactivity before removal (THRESHOLD_DAYS, default 60)
+ * @param {boolean} [options.dryRun] - Only log what would change (DRY_RUN, dry unless 'false')
+ * @param {string} [options.currentUser] - Login that is never removed (CURRENT_USER)
+ * @param {string} [options.date] - Reference date as "YYYY-MM-DD HH:MM:SS" UTC (CURRENT_DATE)
+ * @param {string} [options.outputDir] - Directory for the consolidated report; each organization
+ *   writes its own reports to a subdirectory (default clean-logs)
+ * @returns {Promise<Object>} Runs per organization and combined users
+ */
+const run = async (options = {}) => {
+  try {
+    const orgs = await resolveOrgs(options);
+    const isDryRun = resolveDryRun(options.dryRun);
+    const today = parseReferenceDate(options.date);
+    const reportDir = options.outputDir || DEFAULT_REPORT_DIR;
+    const enterprise = options.enterprise || process.env.ENTERPRISE_SLUG || null;
+
+    console.log(`Current Date and Time (UTC): ${today.toISOString()}`);
+    console.log(`Organizations: ${orgs.join(', ')}`);
+    console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}\n`);
+
+    // Check every organization first, so users can be compared across organizations before any removal;
+    // a failing organization does not stop the others
+    const orgRuns = [];
+    for (const org of orgs) {
+      console.log(`\n=== Usage check: ${org} ===\n`);
+      const workDir = path.join(DEFAULT_WORK_DIR, 'orgs', org);
+      const orgReportDir = path.join(reportDir, org);
+      const orgRun = {
+        org,
+        workDir,
+        reportDir: orgReportDir,
+        warningStateFile: getOrgStateFile(process.env.WARNING_STATE_FILE, org, path.join(orgReportDir, 'warning-state.json')),
+        followUpErrors: []
+      };
+      orgRuns.push(orgRun);
+      try {
+        await checkCopilotUsage.run({
+          org,
+          threshold: options.threshold,
+          currentUser: options.currentUser,
+          date: options.date,
+          outputDir: workDir,
+          reportDir: orgReportDir,
+          warningStateFile: orgRun.warningStateFile,
+          stateCacheFile: getOrgStateFile(process.env.STATE_CACHE_FILE, org, path.join(workDir, 'state-cache.json'))
+        });
+        orgRun.checkSummary = JSON.parse(fs.readFileSync(path.join(workDir, 'check_summary.json'), 'utf8'));
+      } catch (error) {
+        console.error(`Error processing organization ${org}:`, error.message);
+        orgRun.error = error.message;
+      }
+    }
+
+    const keptSeats = keepSeatsActiveElsewhere(orgRuns);
+    console.log(`\nKeeping ${keptSeats} seats of users who are active in another organization`);
+
+    for (const orgRun of orgRuns.filter(candidate => !candidate.error)) {
+      console.log(`\n=== Removal: ${orgRun.org} ===\n`);
+      try {
+        orgRun.results = await removeInactiveUsers.run({
+          org: orgRun.org,
+          dryRun: isDryRun,
+          currentUser: options.currentUser,
+          date: options.date,
+          input: path.join(orgRun.workDir, 'inactive_users.txt'),
+          outputDir: orgRun.reportDir,
+          warningStateFile: orgRun.warningStateFile
+        });
+      } catch (error) {
+        console.error(`Error processing organization ${orgRun.org}:`, error.message);
+        orgRun.error = error.message;
+        continue;
+      }
+      orgRun.followUpErrors = await runFollowUpSteps(orgRun, options, isDryRun);
+    }
+
+    // Count every user once, however many organizations they hold a seat in
+    const users = combineUsers(orgRuns);
+    const multiOrgUsers = users.filter(user => user.seats.length > 1);
+    const removedSeats = users.reduce((total, user) => total + user.seats.filter(seat => seat.outcome === 'removed').length, 0);
+    const fullyRemoved = users.filter(user => user.fully_removed);
+    const warnedUsers = users.filter(user => user.seats.some(seat => seat.outcome === 'warned'));
+    const failedOrgs = orgRuns.filter(orgRun => orgRun.error);
+    const incompleteOrgs = orgRuns.filter(orgRun => orgRun.followUpErrors.length > 0);
+
+    // An enterprise pays once per user, so only users removed from every organization save a seat
+    const pricedRun = orgRuns.find(orgRun => orgRun.checkSummary && orgRun.checkSummary.plan_pricing);
+    const planPricing = pricedRun ? pricedRun.checkSummary.plan_pricing : resolvePlanPricing(loadPricing());
+    const savings = estimateSavings(fullyRemoved.length, planPricing);
+
+    const timestamp = `${formatRunTimestamp(today)}_enterprise`;
+    fs.mkdirSync(reportDir, { recursive: true });
+
+    const mdContent = `# GitHub Copilot Multi-Organization Removal Report
+
+## Process Information
+- Date: ${today.toUTCString()}
+- Mode: ${isDryRun ? 'DRY RUN' : 'PRODUCTION'}
+${enterprise ? `- Enterprise: ${enterprise}\n` : ''}- Organizations: ${orgs.join(', ')}
+
+## Summary
+- Organizations Processed: ${orgRuns.length - failedOrgs.length}
+- Organizations Failed: ${failedOrgs.length}
+- Users With Seats: ${users.length}
+- Users With Seats in Several Organizations: ${multiOrgUsers.length}
+- Seats Kept for Users Active in Another Organization: ${keptSeats}
+- Seats ${isDryRun ? 'That Would Be ' : ''}Removed: ${removedSeats}
+- Users ${isDryRun ? 'That Would Be ' : ''}Removed From Every Organization: ${fullyRemoved.length}
+- Users Warned: ${warnedUsers.length}
+- ${isDryRun ? 'Would Save' : 'Saved'}: ${describeSavings(savings)}
+
+## Users With Seats in Several Organizations
+${formatMarkdownTable(['User Login', 'Seats'], multiOrgUsers.map(user => [user.login, describeSeats(user)]))}
+
+${orgRuns.map(formatOrgSection).join('\n')}`;
+
+    const reportPath = path.join(reportDir, `${timestamp}.md`);
+    fs.writeFileSync(reportPath, mdContent);
+    const jsonPath = path.join(reportDir, `${timestamp}.json`);
+    fs.writeFileSync(jsonPath, JSON.stringify({
+      kind: 'enterprise',
+      date: today.toISOString(),
+      dry_run: isDryRun,
+      enterprise,
+      orgs: orgRuns.map(orgRun => ({
+        org: orgRun.org,
+        report_dir: orgRun.reportDir,
+        error: orgRun.error || null,
+        follow_up_errors: orgRun.followUpErrors,
+        summary: orgRun.results ? {
+          removed: orgRun.results.successful.length,
+          failed: orgRun.results.failed.length,
+          skipped: orgRun.results.skipped.length,
+          warned: orgRun.results.warned.length
+        } : null
+      })),
+      savings,
+      users
+    }, null, 2));
+    console.log(`\nConsolidated report has been generated at ${reportPath} and ${jsonPath}`);
+
+    // Log summary
+    console.log('\nProcess completed.');
+    console.log(`Organizations processed: ${orgRuns.length - failedOrgs.length} of ${orgRuns.length}`);
+    console.log(`Users with seats in several organizations: ${multiOrgUsers.length}`);
+    console.log(`${isDryRun ? 'Would remove' : 'Removed'}: ${removedSeats} seats, ${fullyRemoved.length} users from every organization`);
+    console.log(`${isDryRun ? 'Would save' : 'Saved'}: ${describeSavings(savings)}`);
+    logRequestSummary();
+
+    // Signal failed organizations and steps through the exit code without aborting the caller
+    if (failedOrgs.length > 0 || incompleteOrgs.length > 0) {
+      process.exitCode = 1;
+    }
+    return { orgRuns, users };
+  } catch (error) {
+    // Error handling with detailed logging
+    console.error('Error during the multi-organization process:', error.message);
+    logRequestSummary();
+    throw error;
+  }
+};
+
+module.exports = {
+  run,
+};
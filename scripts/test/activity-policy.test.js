@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadActivityPolicy, getLatestActivity, getSeatAgeReason } = require('../lib/activity-policy');
+
+const today = new Date('2025-03-28T00:00:00Z');
+const copilotOnly = { min_seat_age_days: 0, seat_assignment_counts_as_activity: false, contributions: { enabled: false, lookback_days: 30 } };
+const withSignals = { ...copilotOnly, min_seat_age_days: 30, seat_assignment_counts_as_activity: true };
+
+test('the shipped activity policy only counts Copilot activity', () => {
+  const policy = loadActivityPolicy(path.join(__dirname, '../../config/activity-policy.yml'));
+  assert.deepEqual(policy, copilotOnly);
+  assert.deepEqual(loadActivityPolicy(path.join(__dirname, 'fixtures/missing-activity-policy.yml')), copilotOnly);
+});
+
+test('getLatestActivity uses the last Copilot activity unless seat assignment counts', () => {
+  const seat = {
+    created_at: '2025-03-10T00:00:00Z',
+    last_activity_at: '2025-01-15T09:30:00Z',
+    last_activity_editor: 'vscode/1.95.0/copilot/1.240.0',
+  };
+  assert.deepEqual(getLatestActivity(seat, copilotOnly), {
+    date: new Date('2025-01-15T09:30:00Z'),
+    reason: 'Last Copilot activity on 2025-01-15 in vscode',
+  });
+
+  // A seat reassigned after its last use counts from the assignment
+  assert.deepEqual(getLatestActivity(seat, withSignals), {
+    date: new Date('2025-03-10T00:00:00Z'),
+    reason: 'Seat assigned on 2025-03-10, counted as activity',
+  });
+
+  // Later Copilot activity wins over the assignment
+  const usedSince = { ...seat, last_activity_at: '2025-03-20T00:00:00Z', last_activity_editor: null };
+  assert.deepEqual(getLatestActivity(usedSince, withSignals), {
+    date: new Date('2025-03-20T00:00:00Z'),
+    reason: 'Last Copilot activity on 2025-03-20',
+  });
+});
+
+test('getLatestActivity reports seats that were never used', () => {
+  const seat = { created_at: '2025-03-10T00:00:00Z', last_activity_at: null, last_activity_editor: null };
+  assert.deepEqual(getLatestActivity(seat, copilotOnly), { date: null, reason: 'No Copilot activity recorded' });
+  assert.equal(getLatestActivity(seat, withSignals).reason, 'Seat assigned on 2025-03-10, counted as activity');
+  assert.deepEqual(getLatestActivity({ ...seat, created_at: null }, withSignals), { date: null, reason: 'No Copilot activity recorded' });
+});
+
+test('getSeatAgeReason protects seats younger than the minimum seat age only when one is set', () => {
+  const young = { created_at: '2025-03-10T00:00:00Z' };
+  const old = { created_at: '2025-02-26T00:00:00Z' };
+
+  assert.equal(getSeatAgeReason(young, copilotOnly, today), null);
+  assert.equal(getSeatAgeReason(young, withSignals, today),
+    'Seat assigned on 2025-03-10, younger than the minimum seat age of 30 days');
+  // Exactly 30 days old is old enough
+  assert.equal(getSeatAgeReason(old, withSignals, today), null);
+  assert.equal(getSeatAgeReason({ created_at: null }, withSignals, today), null);
+});
@@ -0,0 +1,130 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getMaxAgeDays,
+  buildManifestEntry,
+  writeRemovalManifest,
+  loadRemovalManifest,
+  findStaleEntries
+} = require('../lib/approval');
+
+const today = new Date('2025-03-28T00:00:00Z');
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-approval-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const alice = {
+  login: 'alice',
+  status: 'Inactive',
+  days_inactive: 147,
+  last_activity_at: '2024-11-01T10:00:00Z',
+  team: 'Platform, Team Copilot - Eng',
+  copilot_teams: [],
+  exempt_reason: null,
+};
+const bob = { login: 'bob', status: 'No activity', days_inactive: 'Never used', last_activity_at: null, team: 'No teams', copilot_teams: [] };
+
+const manifest = {
+  org: 'acme',
+  generated_at: '2025-03-21T00:00:00.000Z',
+  threshold_days: 60,
+  users: [alice, bob].map(buildManifestEntry),
+};
+
+test('buildManifestEntry keeps the activity data the removal is checked against', () => {
+  assert.deepEqual(buildManifestEntry(alice), {
+    login: 'alice',
+    status: 'Inactive',
+    days_inactive: 147,
+    last_activity_at: '2024-11-01T10:00:00Z',
+    team: 'Platform, Team Copilot - Eng',
+  });
+  assert.equal(buildManifestEntry({ ...bob, last_activity_at: undefined }).last_activity_at, null);
+});
+
+test('loadRemovalManifest reads a written manifest with the users reviewers left in it', () => {
+  const filePath = path.join(tempDir, 'pending-removal.yml');
+  const content = writeRemovalManifest(manifest, filePath);
+  assert.match(content, /^ {2}- \{login: alice, .*team: 'Platform, Team Copilot - Eng'\}$/m);
+  assert.deepEqual(loadRemovalManifest(filePath), manifest);
+
+  // Sparing bob by deleting his line
+  fs.writeFileSync(filePath, content.split('\n').filter(line => !line.includes('login: bob')).join('\n'));
+  assert.deepEqual(loadRemovalManifest(filePath).users.map(entry => entry.login), ['alice']);
+
+  // Sparing everyone leaves an empty users key
+  fs.writeFileSync(filePath, content.split('\n').filter(line => !line.startsWith('  - ')).join('\n'));
+  assert.deepEqual(loadRemovalManifest(filePath).users, []);
+});
+
+test('loadRemovalManifest refuses missing and invalid manifests', () => {
+  assert.throws(() => loadRemovalManifest(path.join(tempDir, 'missing.yml')), /Removal manifest not found/);
+
+  const noDate = path.join(tempDir, 'no-date.yml');
+  fs.writeFileSync(noDate, 'org: acme\nusers: []\n');
+  assert.throws(() => loadRemovalManifest(noDate), /org and generated_at are required/);
+
+  const noLogin = path.join(tempDir, 'no-login.yml');
+  fs.writeFileSync(noLogin, "org: acme\ngenerated_at: '2025-03-21T00:00:00.000Z'\nusers:\n  - {status: Inactive}\n");
+  assert.throws(() => loadRemovalManifest(noLogin), /missing "login"/);
+});
+
+test('findStaleEntries accepts a manifest matching the current activity data', () => {
+  assert.deepEqual(findStaleEntries(manifest, { org: 'acme', inactiveUsers: [alice, bob], today, maxAgeDays: 14 }), []);
+});
+
+test('findStaleEntries lists every reason a manifest is stale', () => {
+  const problems = findStaleEntries(manifest, {
+    org: 'beta',
+    inactiveUsers: [{ ...alice, last_activity_at: '2025-03-25T08:00:00Z' }],
+    today,
+    maxAgeDays: 5,
+  });
+  assert.deepEqual(problems, [
+    'Manifest is for organization acme, not beta',
+    'Manifest was generated 7 days ago, more than the allowed 5 days',
+    'alice used Copilot on 2025-03-25T08:00:00Z after the manifest was generated',
+    'bob is no longer inactive',
+  ]);
+});
+
+test('findStaleEntries refuses users who are no longer eligible for removal', () => {
+  const problems = findStaleEntries(manifest, {
+    org: 'acme',
+    inactiveUsers: [
+      { ...alice, exempt_reason: 'User exemption: On parental leave' },
+      { ...bob, copilot_teams: [{ name: 'Contractors', slug: 'contractors', action: 'report' }] },
+    ],
+    today,
+    maxAgeDays: 14,
+  });
+  assert.deepEqual(problems, [
+    'alice is not eligible for removal anymore: User exemption: On parental leave',
+    'bob now gets Copilot through a report-only team',
+  ]);
+
+  assert.deepEqual(findStaleEntries(manifest, { org: 'acme', inactiveUsers: [{ ...alice, status: 'Warning' }, bob], today, maxAgeDays: 14 }),
+    ['alice is no longer past the inactivity threshold']);
+});
+
+test('the maximum manifest age comes from APPROVAL_MAX_AGE_DAYS', () => {
+  const previous = process.env.APPROVAL_MAX_AGE_DAYS;
+  try {
+    delete process.env.APPROVAL_MAX_AGE_DAYS;
+    assert.equal(getMaxAgeDays(), 14);
+
+    process.env.APPROVAL_MAX_AGE_DAYS = '3';
+    assert.equal(getMaxAgeDays(), 3);
+    assert.deepEqual(findStaleEntries(manifest, { org: 'acme', inactiveUsers: [alice, bob], today }),
+      ['Manifest was generated 7 days ago, more than the allowed 3 days']);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.APPROVAL_MAX_AGE_DAYS;
+    } else {
+      process.env.APPROVAL_MAX_AGE_DAYS = previous;
+    }
+  }
+});
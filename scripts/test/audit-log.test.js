@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCleanerChanges, reconcileSeatChanges } = require('../lib/audit-log');
+
+const since = new Date('2025-02-28T00:00:00Z');
+const until = new Date('2025-03-28T00:00:00Z');
+
+const ledgers = [
+  {
+    kind: 'removal',
+    date: '2025-02-28T00:00:00.000Z',
+    dry_run: false,
+    reassignment: { dry_run: false },
+    users: [
+      { login: 'alice', action: 'remove', outcome: 'success' },
+      { login: 'bob', action: 'remove', outcome: 'failed' },
+      { login: 'frank', action: 'warn', outcome: 'success' },
+      { login: 'yan', action: 'grant', outcome: 'success' },
+    ],
+  },
+  { kind: 'restore', date: '2025-03-05T00:00:00.000Z', dry_run: false, users: [{ login: 'carol', action: 'restore', outcome: 'success' }] },
+  { kind: 'removal', date: '2025-03-10T00:00:00.000Z', dry_run: true, users: [{ login: 'dave', action: 'remove', outcome: 'dry_run' }] },
+  { kind: 'removal', date: '2025-03-28T00:00:00.000Z', dry_run: false, users: [{ login: 'erin', action: 'remove', outcome: 'success' }] },
+];
+
+test('getCleanerChanges lists the seat changes of production runs within the period', () => {
+  assert.deepEqual(getCleanerChanges(ledgers, since, until), [
+    { login: 'alice', change: 'Seat cancelled', run: '2025-02-28T00:00:00.000Z' },
+    { login: 'yan', change: 'Seat assigned', run: '2025-02-28T00:00:00.000Z' },
+    { login: 'carol', change: 'Seat assigned', run: '2025-03-05T00:00:00.000Z' },
+  ]);
+});
+
+test('reconcileSeatChanges attributes changes and flags discrepancies with billing', () => {
+  const event = (login, change, actor) => ({ date: '2025-03-01T00:00:00.000Z', action: 'copilot.x', change, login, team: null, actor });
+  const result = reconcileSeatChanges({
+    events: [
+      event('alice', 'Seat cancelled', 'cleaner-bot'),
+      event('yan', 'Seat assigned', 'cleaner-bot'),
+      event('mallory', 'Seat assigned', 'octo-admin'),
+      event('alice', 'Seat cancelled', 'octo-admin'),
+    ],
+    cleanerChanges: getCleanerChanges(ledgers, since, until),
+    previousBreakdown: { total: 42, pending_cancellation: 2 },
+    currentBreakdown: { total: 41, pending_cancellation: 1 },
+  });
+
+  assert.deepEqual(result.events.map(entry => [entry.login, entry.attributed_to]),
+    [['alice', 'cleaner'], ['yan', 'cleaner'], ['mallory', 'octo-admin'], ['alice', 'octo-admin']]);
+  assert.deepEqual(result.summary, {
+    assigned_by_cleaner: 1,
+    assigned_by_others: 1,
+    cancelled_by_cleaner: 1,
+    cancelled_by_others: 1,
+    teams_added: 0,
+    previous_seats: 40,
+    expected_seats: 40,
+    actual_seats: 40,
+  });
+  // carol's restore is missing from the audit log
+  assert.deepEqual(result.discrepancies, ['carol: seat assigned by the cleaner on 2025-03-05 but not found in the audit log']);
+
+  const mismatch = reconcileSeatChanges({
+    events: [],
+    cleanerChanges: [],
+    previousBreakdown: { total: 40 },
+    currentBreakdown: { total: 43 },
+  });
+  assert.deepEqual(mismatch.discrepancies,
+    ['Billing reports 43 seats not pending cancellation, but the previous 40 plus 0 assigned and minus 0 cancelled in the audit log make 40']);
+});
@@ -0,0 +1,69 @@
+// Checks the option handling of the command line entry point
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildLedgerEntry, writeRunLedger } = require('../lib/run-ledger');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-cli-'));
+
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Runs the CLI with the given arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {{status: number, stdout: string, stderr: string}} Exit code and output
+ */
+const runCli = (args) => spawnSync(process.execPath, [path.join(__dirname, '../cli.js'), ...args], {
+  encoding: 'utf8',
+  env: { ...process.env, GITHUB_API_URL: 'http://127.0.0.1:9' },
+});
+
+test('options a command does not use are rejected before anything runs', () => {
+  let result = runCli(['remove', '--threshold', '30']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^remove does not accept --threshold\.$/m);
+
+  result = runCli(['trends', '--org', 'acme', '--apply']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^trends does not accept --org, --apply\.$/m);
+
+  result = runCli(['multi-org', '--report-dir', 'reports']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /^multi-org does not accept --report-dir\.$/m);
+});
+
+test('help is accepted with every command', () => {
+  const result = runCli(['remove', '--help']);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /--report-dir <path> {3}check: directory for the timestamped CSV reports/);
+});
+
+test('conflicting and invalid values are rejected', () => {
+  let result = runCli(['remove', '--dry-run', '--apply']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--dry-run and --apply cannot be used together\./);
+
+  result = runCli(['check', '--threshold', 'soon']);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--threshold must be a positive number of days, got: soon/);
+});
+
+test('output piped from a command is written completely before the process exits', () => {
+  // A ledger whose JSON report is far larger than a pipe buffer
+  const { jsonPath } = writeRunLedger({
+    kind: 'removal',
+    org: 'acme',
+    date: '2025-03-01T00:00:00.000Z',
+    dry_run: false,
+    summary: { removed: 3000, failed: 0, skipped: 0, warned: 0 },
+    users: Array.from({ length: 3000 }, (_, index) => buildLedgerEntry({ login: `user-${index}` }, 'remove', 'success')),
+  }, '2025-03-01_00_00_00_UTC', tempDir);
+
+  const result = runCli(['report', '--input', jsonPath, '--format', 'json']);
+  assert.equal(result.status, 0);
+  assert.ok(result.stdout.length > 65536);
+  assert.equal(JSON.parse(result.stdout).users.length, 3000);
+});
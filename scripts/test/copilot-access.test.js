@@ -0,0 +1,66 @@
+// Checks that a failed removal leaves the Copilot teams of a user as they were
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockGitHubServer } = require('./mock-github-server');
+const acme = require('./fixtures/acme.json');
+
+const ENG = { name: 'Team Copilot - Eng, QA', slug: 'team-copilot-eng' };
+const PLATFORM = { name: 'Platform', slug: 'platform' };
+const settings = { org: 'acme', isDryRun: false };
+
+let server;
+let removeCopilotAccess;
+
+before(async () => {
+  server = await startMockGitHubServer(structuredClone(acme));
+
+  // Point the API client at the mock server before it is loaded
+  process.env.GITHUB_API_URL = server.url;
+  process.env.GITHUB_TOKEN = 'test-token';
+  ({ removeCopilotAccess } = require('../lib/copilot-access'));
+});
+
+beforeEach(() => server.setFixture(structuredClone(acme)));
+
+after(() => server.close());
+
+/**
+ * Lists the requests the mock server received since a given index, without reads
+ * @param {number} since - Number of requests to skip
+ * @returns {Array<string>} Requests as "METHOD /path status"
+ */
+const changesSince = (since) => server.requests
+  .slice(since)
+  .filter(request => request.method !== 'GET')
+  .map(request => `${request.method} ${request.path} ${request.status}`);
+
+test('a user whose second team cannot be left is re-added to the first one', async () => {
+  // platform is in the fixture's protected_teams
+  const user = { login: 'bob', copilot_teams: [ENG, PLATFORM], assigning_team: ENG };
+  const since = server.requests.length;
+
+  assert.equal(await removeCopilotAccess(user, settings), false);
+  assert.deepEqual(changesSince(since), [
+    'DELETE /orgs/acme/teams/team-copilot-eng/memberships/bob 204',
+    'DELETE /orgs/acme/teams/platform/memberships/bob 403',
+    'PUT /orgs/acme/teams/team-copilot-eng/memberships/bob 200',
+  ]);
+  assert.deepEqual(user.removed_from_teams, []);
+  assert.equal(user.error, 'You must be an organization owner or team maintainer to remove a team membership.');
+  assert.equal(user.api_status, 403);
+});
+
+test('a user whose seat cannot be removed after leaving their teams is re-added to them', async () => {
+  // erin's seat removal answers 422 in the fixture
+  const user = { login: 'erin', copilot_teams: [ENG], assigning_team: null };
+  const since = server.requests.length;
+
+  assert.equal(await removeCopilotAccess(user, settings), false);
+  assert.deepEqual(changesSince(since), [
+    'DELETE /orgs/acme/teams/team-copilot-eng/memberships/erin 204',
+    'DELETE /orgs/acme/copilot/billing/selected_users 422',
+    'PUT /orgs/acme/teams/team-copilot-eng/memberships/erin 200',
+  ]);
+  assert.deepEqual(user.removed_from_teams, []);
+  assert.equal(user.api_status, 422);
+});
@@ -0,0 +1,508 @@
+// Runs the usage check and the removal step against a mock GitHub API
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockGitHubServer } = require('./mock-github-server');
+const { buildLedgerEntry, writeRunLedger } = require('../lib/run-ledger');
+const acme = require('./fixtures/acme.json');
+
+const REFERENCE_DATE = '2025-03-28 00:00:00';
+
+let server;
+let fixture;
+let checkCopilotUsage;
+let removeInactiveUsers;
+let restoreUsers;
+let reassignSeats;
+let renderTrends;
+let approval;
+let originalDir;
+let tempDir;
+
+before(async () => {
+  server = await startMockGitHubServer(structuredClone(acme));
+
+  // Point the API client at the mock server before it is loaded, and keep the workflow settings out
+  process.env.GITHUB_API_URL = server.url;
+  process.env.GITHUB_TOKEN = 'test-token';
+  ['GITHUB_OUTPUT', 'GITHUB_REPOSITORY', 'DRY_RUN', 'APPROVAL_MODE', 'REMOVAL_MANIFEST', 'CURRENT_DATE', 'CURRENT_USER', 'WARNING_STATE_FILE', 'STATE_CACHE_FILE', 'SEAT_QUEUE_FILE', 'APPROVAL_MAX_AGE_DAYS',
+    'MAX_REMOVALS_PER_RUN', 'MAX_REMOVAL_PERCENT', 'MAX_CONSECUTIVE_FAILURES']
+    .forEach(name => delete process.env[name]);
+  checkCopilotUsage = require('../check-copilot-usage');
+  removeInactiveUsers = require('../remove-inactive-users');
+  restoreUsers = require('../restore-users');
+  reassignSeats = require('../reassign-seats');
+  renderTrends = require('../render-trends');
+  approval = require('../lib/approval');
+
+  // Run in an empty directory so no config files apply
+  originalDir = process.cwd();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-seats-cleaner-'));
+  process.chdir(tempDir);
+});
+
+// Every test starts from the unchanged organization, as the tests may change it
+beforeEach(() => {
+  fixture = structuredClone(acme);
+  server.setFixture(fixture);
+});
+
+after(async () => {
+  await server.close();
+  process.chdir(originalDir);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * Creates the directories of a new run, with the inactive users warned a month before the run
+ * so their grace period has ended
+ * @returns {{workDir: string, reportDir: string}} Directories of the usage check and of the reports
+ */
+const createRunDirs = () => {
+  const runDir = fs.mkdtempSync(path.join(tempDir, 'run-'));
+  const workDir = path.join(runDir, 'work');
+  const reportDir = path.join(runDir, 'clean-logs');
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  const warning = { warned_at: '2025-02-26T00:00:00.000Z', last_activity_at: null };
+  fs.writeFileSync(path.join(reportDir, 'warning-state.json'), JSON.stringify({
+    updated_at: warning.warned_at,
+    users: Object.fromEntries(['alice', 'bob', 'dave', 'erin'].map(login => [login, warning])),
+  }));
+  return { workDir, reportDir };
+};
+
+/**
+ * Runs the usage check of the fixture organization
+ * @param {{workDir: string, reportDir: string}} dirs - Result of createRunDirs
+ * @returns {Promise<Array>} Inactive users
+ */
+const runCheck = ({ workDir, reportDir }) => checkCopilotUsage.run({
+  org: fixture.org,
+  date: REFERENCE_DATE,
+  outputDir: workDir,
+  reportDir,
+  currentUser: 'kim',
+});
+
+/**
+ * Runs the removal step on the users found by the usage check
+ * @param {{workDir: string, reportDir: string, manifest: string}} dirs - Result of createRunDirs,
+ *   with the approved manifest to execute, if any
+ * @param {boolean} dryRun - Only log what would change
+ * @returns {Promise<Object>} Results by outcome
+ */
+const runRemove = ({ workDir, reportDir, manifest }, dryRun) => removeInactiveUsers.run({
+  org: fixture.org,
+  date: REFERENCE_DATE,
+  input: path.join(workDir, 'inactive_users.txt'),
+  outputDir: reportDir,
+  dryRun,
+  manifest,
+  currentUser: 'kim',
+});
+
+/**
+ * Lists the requests the mock server received since a given index
+ * @param {number} since - Number of requests to skip
+ * @param {string} [method] - Only list requests with this method
+ * @returns {Array<string>} Requests as "METHOD /path"
+ */
+const requestsSince = (since, method) => server.requests
+  .slice(since)
+  .filter(request => !method || request.method === method)
+  .map(request => `${request.method} ${request.path}`);
+
+const logins = (users) => users.map(user => user.login).sort();
+
+/**
+ * Runs a function with environment variables set, restoring them afterwards
+ * @param {Object} env - Environment variables to set
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of the function
+ */
+const withEnv = async (env, fn) => {
+  Object.assign(process.env, env);
+  try {
+    return await fn();
+  } finally {
+    Object.keys(env).forEach(name => delete process.env[name]);
+  }
+};
+
+test('check lists inactive users across all seat pages', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  const since = server.requests.length;
+  const inactiveUsers = await runCheck({ workDir, reportDir });
+
+  // 7 seats at 2 per page, and the rate-limited teams request retried once
+  assert.equal(requestsSince(since).filter(request => request.endsWith('/copilot/billing/seats')).length, 4);
+  assert.equal(requestsSince(since).filter(request => request === 'GET /orgs/acme/teams').length, 2);
+
+  // Longest inactive first, never used seats last, the current user never listed
+  assert.deepEqual(inactiveUsers.map(user => [user.login, user.status]), [
+    ['erin', 'Inactive'],
+    ['alice', 'Inactive'],
+    ['dave', 'Inactive'],
+    ['frank', 'Warning'],
+    ['bob', 'No activity'],
+  ]);
+  assert.deepEqual(inactiveUsers.find(user => user.login === 'bob').copilot_teams,
+    [{ name: 'Team Copilot - Eng, QA', slug: 'team-copilot-eng', action: 'remove' }]);
+
+  const csv = fs.readFileSync(path.join(workDir, 'inactive_users.csv'), 'utf8').split('\r\n');
+  assert.equal(csv[0], 'User Login,Status,Days Inactive,Teams,Last Usage Date,Activity');
+  assert.equal(csv.length, 7);
+  assert.equal(csv[6], '');
+  assert.ok(fs.existsSync(path.join(workDir, 'check_summary.json')));
+
+  // The CSV reports are copied next to the run reports uploaded by the workflow
+  assert.equal(fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC_inactive_users.csv'), 'utf8'), csv.join('\r\n'));
+  assert.ok(fs.existsSync(path.join(reportDir, '2025-03-28_00_00_00_UTC_team_breakdown.csv')));
+});
+
+test('remove in dry-run mode re-verifies seats without changing anything', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+  const since = server.requests.length;
+  const results = await runRemove({ workDir, reportDir }, true);
+
+  assert.deepEqual(requestsSince(since, 'DELETE'), []);
+  assert.deepEqual(logins(results.successful), ['alice', 'bob', 'erin']);
+  assert.deepEqual(logins(results.failed), []);
+  assert.deepEqual(results.skipped.map(user => [user.login, user.reason]),
+    [['dave', 'No Copilot seat anymore, nothing to remove']]);
+  assert.deepEqual(logins(results.warned), ['frank']);
+
+  // The production warnings are untouched, the dry run keeps its own as if the seats were removed
+  const state = JSON.parse(fs.readFileSync(path.join(reportDir, 'warning-state.json'), 'utf8'));
+  assert.equal(state.updated_at, '2025-02-26T00:00:00.000Z');
+  const dryRunState = JSON.parse(fs.readFileSync(path.join(reportDir, 'warning-state.dry-run.json'), 'utf8'));
+  assert.deepEqual(Object.keys(dryRunState.users).sort(), ['dave', 'frank']);
+  const report = fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.md'), 'utf8');
+  assert.match(report, /- Mode: DRY RUN/);
+  assert.match(report, /- Warning State: Simulated in .*warning-state\.dry-run\.json/);
+  assert.match(fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.html'), 'utf8'), /<li>Mode: DRY RUN<\/li>/);
+});
+
+test('remove in apply mode revokes seats and leaves team-assigned seats through their team', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+  const since = server.requests.length;
+  const results = await runRemove({ workDir, reportDir }, false);
+
+  // bob leaves the team granting his seat; erin's seat was moved to a team after the check
+  assert.deepEqual(requestsSince(since, 'DELETE'), [
+    'DELETE /orgs/acme/copilot/billing/selected_users',
+    'DELETE /orgs/acme/copilot/billing/selected_users',
+    'DELETE /orgs/acme/teams/team-copilot-eng/memberships/bob',
+  ]);
+  assert.deepEqual(logins(results.successful), ['alice', 'bob']);
+  assert.deepEqual(results.failed.map(user => [user.login, user.api_status]), [['erin', 422]]);
+  assert.deepEqual(logins(results.skipped), ['dave']);
+  assert.deepEqual(logins(results.warned), ['frank']);
+
+  // Removed users leave the warning state, frank is warned for the next run
+  const state = JSON.parse(fs.readFileSync(path.join(reportDir, 'warning-state.json'), 'utf8'));
+  assert.deepEqual(Object.keys(state.users).sort(), ['dave', 'erin', 'frank']);
+  assert.ok(!fs.existsSync(path.join(reportDir, 'warning-state.dry-run.json')));
+
+  const ledger = JSON.parse(fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.json'), 'utf8'));
+  assert.equal(ledger.dry_run, false);
+  assert.deepEqual(ledger.summary, { removed: 2, failed: 1, skipped: 1, warned: 1 });
+  assert.deepEqual(ledger.users.find(entry => entry.login === 'bob').copilot_teams,
+    [{ name: 'Team Copilot - Eng, QA', slug: 'team-copilot-eng' }]);
+});
+
+test('remove stops after consecutive API failures and reports the errors', async () => {
+  fixture.team_assigned_on_removal = ['alice', 'erin'];
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+  const since = server.requests.length;
+  const results = await withEnv({ MAX_CONSECUTIVE_FAILURES: '2' }, () => runRemove({ workDir, reportDir }, false));
+  // The circuit breaker sets the exit code of the process, which would fail the test file
+  process.exitCode = 0;
+
+  // dave and bob are not re-verified or removed once alice and erin failed in a row
+  assert.deepEqual(requestsSince(since, 'DELETE'), [
+    'DELETE /orgs/acme/copilot/billing/selected_users',
+    'DELETE /orgs/acme/copilot/billing/selected_users',
+  ]);
+  assert.deepEqual(results.successful, []);
+  assert.deepEqual(logins(results.failed), ['alice', 'erin']);
+  assert.deepEqual(logins(results.skipped), ['bob', 'dave']);
+  assert.ok(results.skipped.every(user => user.reason === 'Circuit breaker: stopped after 2 consecutive API failures'));
+
+  const report = fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.md'), 'utf8');
+  assert.match(report, /^- Stopped: Circuit breaker: stopped after 2 consecutive API failures$/m);
+  assert.match(report, /^\| erin \|.*\| User erin is assigned via team, remove them from the team instead\. \|$/m);
+});
+
+test('remove fetches the seat total for the percentage cap when the usage check did not record it', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+  fs.rmSync(path.join(workDir, 'check_summary.json'));
+  const since = server.requests.length;
+  const results = await withEnv({ MAX_REMOVAL_PERCENT: '5' }, () => runRemove({ workDir, reportDir }, false));
+  // The aborted run sets the exit code of the process, which would fail the test file
+  process.exitCode = 0;
+
+  // 4 of the 40 billed seats are above the 5% cap, so no seat is touched
+  assert.ok(requestsSince(since).includes('GET /orgs/acme/copilot/billing'));
+  assert.deepEqual(requestsSince(since, 'DELETE'), []);
+  assert.deepEqual(results.successful, []);
+  assert.deepEqual(logins(results.skipped), ['alice', 'bob', 'dave', 'erin']);
+  assert.ok(results.skipped.every(user =>
+    user.reason === 'Run aborted: 4 removals are 10.0% of 40 seats, above the cap of 5% (MAX_REMOVAL_PERCENT)'));
+});
+
+test('reassign grants the freed seats in queue order and replaces the section of an earlier dry run', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+  await runRemove({ workDir, reportDir }, false);
+
+  const seatQueueFile = path.join(path.dirname(reportDir), 'seat-queue.yml');
+  fs.writeFileSync(seatQueueFile, `source: file
+users:
+  - {login: noah, requested_at: 2025-03-10}
+  - {login: lena, requested_at: 2025-03-01}
+  - {login: mia, requested_at: 2025-03-05}
+`);
+  const runReassign = (dryRun) => withEnv({ SEAT_QUEUE_FILE: seatQueueFile }, () =>
+    reassignSeats.run({ org: fixture.org, date: REFERENCE_DATE, outputDir: reportDir, dryRun }));
+
+  // alice and bob freed two seats, which go to the two earliest requests
+  const since = server.requests.length;
+  const dryRunResults = await runReassign(true);
+  assert.deepEqual(dryRunResults.granted.map(entry => entry.login), ['lena', 'mia']);
+  assert.deepEqual(requestsSince(since, 'POST'), []);
+
+  const results = await runReassign(false);
+  assert.deepEqual(results.granted.map(entry => entry.login), ['lena', 'mia']);
+  assert.deepEqual(results.waiting.map(entry => entry.login), ['noah']);
+  assert.deepEqual(server.requests.slice(since).filter(request => request.method === 'POST').map(request => request.body.selected_usernames),
+    [['lena'], ['mia']]);
+
+  const ledger = JSON.parse(fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.json'), 'utf8'));
+  assert.equal(ledger.reassignment.dry_run, false);
+  assert.deepEqual(ledger.users.filter(entry => entry.action === 'grant').map(entry => [entry.login, entry.outcome]),
+    [['lena', 'success'], ['mia', 'success']]);
+
+  // The report only keeps the production reassignment
+  const report = fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.md'), 'utf8');
+  assert.equal(report.match(/^## Seat Reassignments$/gm).length, 1);
+  assert.match(report, /^- Granted: 2 users \(reassigned seats stay billed\)$/m);
+  assert.doesNotMatch(report, /^- Would Grant:/m);
+  const html = fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.html'), 'utf8');
+  assert.equal(html.match(/<h2>Seat Reassignments<\/h2>/g).length, 1);
+  assert.doesNotMatch(html, /Would Grant:/);
+});
+
+/**
+ * Writes the removal manifest a merged approval pull request leaves in clean-logs
+ * @param {string} reportDir - Report directory of the run
+ * @param {Array<Object>} users - Manifest entries of the approved users
+ * @returns {string} Path of the manifest
+ */
+const writeApprovedManifest = (reportDir, users) => {
+  const manifestPath = path.join(reportDir, 'pending-removal.yml');
+  approval.writeRemovalManifest({ org: fixture.org, generated_at: '2025-03-25T00:00:00.000Z', threshold_days: 60, users }, manifestPath);
+  return manifestPath;
+};
+
+test('remove with an approved manifest removes exactly its users and keeps the other warnings', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  const inactiveUsers = await runCheck({ workDir, reportDir });
+  // Reviewers spared everyone but alice
+  const manifestPath = writeApprovedManifest(reportDir, inactiveUsers.filter(user => user.login === 'alice').map(approval.buildManifestEntry));
+
+  const since = server.requests.length;
+  const results = await removeInactiveUsers.run({
+    org: fixture.org,
+    date: REFERENCE_DATE,
+    input: path.join(workDir, 'inactive_users.txt'),
+    outputDir: reportDir,
+    dryRun: false,
+    manifest: manifestPath,
+    currentUser: 'kim',
+  });
+
+  assert.deepEqual(server.requests.slice(since).filter(request => request.method === 'DELETE').map(request => request.body),
+    [{ selected_usernames: ['alice'] }]);
+  assert.deepEqual(logins(results.successful), ['alice']);
+  assert.deepEqual([...results.failed, ...results.skipped, ...results.warned], []);
+
+  const state = JSON.parse(fs.readFileSync(path.join(reportDir, 'warning-state.json'), 'utf8'));
+  assert.deepEqual(Object.keys(state.users).sort(), ['bob', 'dave', 'erin']);
+  assert.ok(!fs.existsSync(manifestPath));
+  const report = fs.readFileSync(path.join(reportDir, '2025-03-28_00_00_00_UTC.md'), 'utf8');
+  assert.match(report, /^- Approval: Approved manifest generated on 2025-03-25T00:00:00\.000Z$/m);
+  assert.match(report, /^## Expired Exemptions\n- None\n/m);
+});
+
+test('remove keeps approved users whose removal failed in the manifest', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  const inactiveUsers = await runCheck({ workDir, reportDir });
+  // erin's seat removal answers 422 in the fixture
+  const manifestPath = writeApprovedManifest(reportDir, inactiveUsers
+    .filter(user => ['alice', 'erin'].includes(user.login))
+    .map(approval.buildManifestEntry));
+
+  const results = await runRemove({ workDir, reportDir, manifest: manifestPath }, false);
+
+  assert.deepEqual(logins(results.successful), ['alice']);
+  assert.deepEqual(logins(results.failed), ['erin']);
+  assert.deepEqual(approval.loadRemovalManifest(manifestPath).users.map(entry => entry.login), ['erin']);
+});
+
+test('remove keeps approved users deferred by the removal cap in the manifest', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  const inactiveUsers = await runCheck({ workDir, reportDir });
+  const manifestPath = writeApprovedManifest(reportDir, inactiveUsers
+    .filter(user => ['alice', 'bob'].includes(user.login))
+    .map(approval.buildManifestEntry));
+
+  const since = server.requests.length;
+  const results = await withEnv({ MAX_REMOVALS_PER_RUN: '1' }, () => runRemove({ workDir, reportDir, manifest: manifestPath }, false));
+  // The aborted run sets the exit code of the process, which would fail the test file
+  process.exitCode = 0;
+
+  assert.deepEqual(requestsSince(since, 'DELETE'), []);
+  assert.deepEqual(logins(results.skipped), ['alice', 'bob']);
+  assert.deepEqual(approval.loadRemovalManifest(manifestPath).users.map(entry => entry.login), ['alice', 'bob']);
+});
+
+test('remove refuses a stale manifest without touching any seat', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  const inactiveUsers = await runCheck({ workDir, reportDir });
+  // alice's last activity is newer than the one she was approved with
+  const alice = approval.buildManifestEntry(inactiveUsers.find(user => user.login === 'alice'));
+  const manifestPath = writeApprovedManifest(reportDir, [{ ...alice, last_activity_at: '2024-10-01T00:00:00Z' }]);
+
+  const since = server.requests.length;
+  await assert.rejects(removeInactiveUsers.run({
+    org: fixture.org,
+    date: REFERENCE_DATE,
+    input: path.join(workDir, 'inactive_users.txt'),
+    outputDir: reportDir,
+    dryRun: false,
+    manifest: manifestPath,
+    currentUser: 'kim',
+  }), /pending-removal\.yml is stale, no seats were removed/);
+
+  assert.deepEqual(requestsSince(since, 'DELETE'), []);
+  assert.ok(fs.existsSync(manifestPath));
+});
+
+test('remove deletes an approved manifest once nobody is inactive anymore', async () => {
+  fixture.seats.forEach(seat => { seat.last_activity_at = '2025-03-27T00:00:00Z'; });
+  const { workDir, reportDir } = createRunDirs();
+  assert.deepEqual(await runCheck({ workDir, reportDir }), []);
+  // Reviewers spared every user before merging
+  const manifestPath = writeApprovedManifest(reportDir, []);
+
+  const results = await removeInactiveUsers.run({
+    org: fixture.org,
+    date: REFERENCE_DATE,
+    input: path.join(workDir, 'inactive_users.txt'),
+    outputDir: reportDir,
+    dryRun: false,
+    manifest: manifestPath,
+    currentUser: 'kim',
+  });
+
+  assert.equal(results, null);
+  assert.ok(!fs.existsSync(manifestPath));
+});
+
+test('trends aggregate the ledger of a run per Copilot team, also when a team name contains a comma', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+  await runRemove({ workDir, reportDir }, false);
+
+  const trends = await renderTrends.run({ input: reportDir, date: REFERENCE_DATE });
+
+  // bob holds the only seat granted through the Copilot team and lost it for inactivity
+  assert.deepEqual(trends.teamInactivity.map(team => [team.team, team.seats, team.inactive, team.removed]),
+    [['Team Copilot - Eng, QA', 1, 1, 1]]);
+  const markdown = fs.readFileSync(path.join(reportDir, 'trends.md'), 'utf8');
+  assert.match(markdown, /^\| Team Copilot - Eng, QA \| 1 \| 1 \| 100\.0% \| 100\.0% \| 1 \|$/m);
+  assert.match(markdown, /^- Seats Removed: 2$/m);
+
+  const csv = fs.readFileSync(path.join(reportDir, 'trends.csv'), 'utf8').split('\r\n');
+  assert.equal(csv[1], '2025-03-28T00:00:00.000Z,removal,production,40,35,5,2,1,1,1,0');
+});
+
+test('restore re-grants seats and reports a seat restored through only some of its teams as failed', async () => {
+  // alice had a direct seat, bob got his through two teams and the token cannot manage Platform
+  const { reportDir: restoreDir } = createRunDirs();
+  const teams = [{ name: 'Team Copilot - Eng, QA', slug: 'team-copilot-eng' }, { name: 'Platform', slug: 'platform' }];
+  writeRunLedger({
+    kind: 'removal',
+    org: fixture.org,
+    date: '2025-03-01T00:00:00.000Z',
+    dry_run: false,
+    summary: { removed: 2, failed: 0, skipped: 0, warned: 0 },
+    users: [
+      buildLedgerEntry({ login: 'alice' }, 'remove', 'success'),
+      buildLedgerEntry({ login: 'bob' }, 'remove', 'success', { copilotTeams: teams }),
+    ],
+  }, '2025-03-01_00_00_00_UTC', restoreDir);
+
+  const since = server.requests.length;
+  const results = await restoreUsers.run({ org: fixture.org, date: REFERENCE_DATE, outputDir: restoreDir, dryRun: false });
+  // The failed restore sets the exit code of the process, which would fail the test file
+  process.exitCode = 0;
+
+  // Every team is attempted even after one fails
+  assert.deepEqual(requestsSince(since).filter(request => !request.startsWith('GET')), [
+    'POST /orgs/acme/copilot/billing/selected_users',
+    'PUT /orgs/acme/teams/team-copilot-eng/memberships/bob',
+    'PUT /orgs/acme/teams/platform/memberships/bob',
+  ]);
+  assert.deepEqual(logins(results.successful), ['alice']);
+  assert.deepEqual(results.failed.map(entry => [entry.login, entry.api_status, entry.error]), [[
+    'bob',
+    403,
+    'Partially restored through Team Copilot - Eng, QA. Failed to re-add to Platform: You must be an organization owner or team maintainer to add a team membership.',
+  ]]);
+
+  const ledger = JSON.parse(fs.readFileSync(path.join(restoreDir, '2025-03-28_00_00_00_UTC_restore.json'), 'utf8'));
+  assert.deepEqual(ledger.summary, { restored: 1, failed: 1, not_found: 0 });
+  const bob = ledger.users.find(entry => entry.login === 'bob');
+  assert.equal(bob.outcome, 'failed');
+  assert.deepEqual(bob.copilot_teams, [teams[0]]);
+  assert.match(fs.readFileSync(path.join(restoreDir, '2025-03-28_00_00_00_UTC_restore.md'), 'utf8'),
+    /\| bob \| Team Team Copilot - Eng, QA, Platform \| Partially restored through Team Copilot - Eng, QA\. Failed to re-add to Platform: /);
+});
+
+test('a second check revalidates cached responses and reports what changed since the first', async () => {
+  const { workDir, reportDir } = createRunDirs();
+  await runCheck({ workDir, reportDir });
+
+  // carol joins the Copilot team and stops using Copilot, frank's seat is cancelled
+  fixture.team_members['1'] = ['bob', 'carol'];
+  fixture.seats.find(seat => seat.assignee.login === 'carol').last_activity_at = '2024-12-15T00:00:00Z';
+  fixture.seats = fixture.seats.filter(seat => seat.assignee.login !== 'frank');
+
+  const since = server.requests.length;
+  await runCheck({ workDir, reportDir });
+
+  // Unchanged lists answer 304 Not Modified and are served from the state cache
+  const notModified = server.requests.slice(since).filter(request => request.status === 304).map(request => request.path);
+  assert.ok(notModified.includes('/orgs/acme/copilot/billing'));
+  assert.ok(notModified.includes('/orgs/acme/teams'));
+  assert.ok(notModified.includes('/teams/2/members'));
+  assert.ok(!notModified.includes('/teams/1/members'));
+  assert.ok(!notModified.includes('/orgs/acme/copilot/billing/seats'));
+
+  const summary = JSON.parse(fs.readFileSync(path.join(workDir, 'check_summary.json'), 'utf8'));
+  assert.equal(summary.previous_check_at, '2025-03-28T00:00:00.000Z');
+  assert.deepEqual(summary.changes, [
+    { login: 'carol', change: 'Joined Copilot team', details: 'Team Copilot - Eng, QA' },
+    { login: 'carol', change: 'Became inactive', details: 'Active -> Inactive' },
+    { login: 'frank', change: 'Seat lost', details: '' },
+  ]);
+});
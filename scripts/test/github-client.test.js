@@ -0,0 +1,64 @@
+// Checks the retry rules of the API client against a local HTTP stub
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+let server;
+let client;
+// Responses per path, answered in order; the last one repeats
+const scripts = {};
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    received.push(`${req.method} ${req.url}`);
+    const queue = scripts[req.url] || [];
+    const { status, headers = {}, body = {} } = queue.length > 1 ? queue.shift() : queue[0];
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+  client = require('../lib/github-client');
+});
+
+after(() => new Promise(done => server.close(done)));
+
+const countRequests = (request) => received.filter(entry => entry === request).length;
+
+test('getNextPageUrl follows the rel="next" link only', () => {
+  assert.equal(client.getNextPageUrl('<https://x/a?page=2>; rel="next", <https://x/a?page=5>; rel="last"'), 'https://x/a?page=2');
+  assert.equal(client.getNextPageUrl('<https://x/a?page=1>; rel="prev"'), null);
+  assert.equal(client.getNextPageUrl(undefined), null);
+});
+
+test('GET requests are retried on server errors', async () => {
+  scripts['/flaky'] = [{ status: 502, headers: { 'retry-after': '0' } }, { status: 200, body: { ok: true } }];
+  const retries = client.getRequestStats().retries;
+
+  const response = await client.request('get', '/flaky');
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.equal(countRequests('GET /flaky'), 2);
+  assert.equal(client.getRequestStats().retries, retries + 1);
+});
+
+test('POST requests are not retried on server errors, so nothing is created twice', async () => {
+  scripts['/issues'] = [{ status: 502, headers: { 'retry-after': '0' } }, { status: 201 }];
+
+  await assert.rejects(client.request('post', '/issues', { data: { title: 'Copilot seat removed' } }), /status code 502/);
+  assert.equal(countRequests('POST /issues'), 1);
+});
+
+test('POST requests are retried when rate limited, waiting for a Retry-After date', async () => {
+  // HTTP dates have a one-second resolution, so the wait is between one and two seconds
+  const retryAt = new Date(Math.ceil(Date.now() / 1000) * 1000 + 2000).toUTCString();
+  scripts['/grants'] = [{ status: 429, headers: { 'retry-after': retryAt } }, { status: 201, body: { seats_created: 1 } }];
+  const startedAt = Date.now();
+
+  const response = await client.request('post', '/grants', { data: { selected_usernames: ['alice'] } });
+
+  assert.deepEqual(response.data, { seats_created: 1 });
+  assert.equal(countRequests('POST /grants'), 2);
+  assert.ok(Date.now() - startedAt >= 900, 'waited for the Retry-After date');
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSeatStatus, getDaysInactive, sortByInactivity } = require('../lib/inactivity');
+
+const today = new Date('2025-03-28T00:00:00Z');
+const thresholdDate = new Date('2025-01-27T00:00:00Z');
+const warningThresholdDate = new Date('2025-02-11T00:00:00Z');
+
+test('getSeatStatus classifies seats by their latest activity', () => {
+  assert.equal(getSeatStatus(null, thresholdDate, warningThresholdDate), 'No activity');
+  assert.equal(getSeatStatus(new Date('2025-01-01T00:00:00Z'), thresholdDate, warningThresholdDate), 'Inactive');
+  assert.equal(getSeatStatus(new Date('2025-02-01T00:00:00Z'), thresholdDate, warningThresholdDate), 'Warning');
+  assert.equal(getSeatStatus(warningThresholdDate, thresholdDate, warningThresholdDate), 'Active');
+});
+
+test('getDaysInactive counts full days since the latest activity', () => {
+  assert.equal(getDaysInactive(new Date('2025-03-26T12:00:00Z'), today), 1);
+  assert.equal(getDaysInactive(null, today), 'Never used');
+});
+
+test('sortByInactivity lists the longest inactive first and never used seats last', () => {
+  const users = [
+    { login: 'a', days_inactive: 'Never used' },
+    { login: 'b', days_inactive: 70 },
+    { login: 'c', days_inactive: 'Never used' },
+    { login: 'd', days_inactive: 120 },
+  ];
+  assert.deepEqual(sortByInactivity(users).map(user => user.login), ['d', 'b', 'a', 'c']);
+});
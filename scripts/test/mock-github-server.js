@@ -0,0 +1,192 @@
+// Import required dependencies
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Sends a JSON response; successful GET responses carry an ETag and answer 304 Not Modified
+ * when the request's If-None-Match matches it
+ * @param {Object} res - HTTP response
+ * @param {number} status - Status code
+ * @param {*} body - Response body
+ * @param {Object} [headers] - Extra response headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  const content = body === undefined ? '' : JSON.stringify(body);
+  if (res.req.method === 'GET' && status === 200) {
+    const etag = `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+    if (res.req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { etag });
+      return res.end();
+    }
+    headers = { ...headers, etag };
+  }
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(content);
+};
+
+/**
+ * Answers a paginated list request with one page of items and a Link header to the next page
+ * @param {Object} res - HTTP response
+ * @param {URL} url - Request URL
+ * @param {string} baseUrl - Base URL of the mock server
+ * @param {Array} items - All items of the list
+ * @param {number} pageSize - Items per page, overriding the requested per_page
+ * @param {function(Array): *} [wrap] - Wraps a page of items, e.g. into { seats }
+ */
+const sendPage = (res, url, baseUrl, items, pageSize, wrap = page => page) => {
+  const page = parseInt(url.searchParams.get('page') || '1', 10);
+  const headers = {};
+  if (page * pageSize < items.length) {
+    headers.link = `<${baseUrl}${url.pathname}?page=${page + 1}&per_page=${pageSize}>; rel="next"`;
+  }
+  sendJson(res, 200, wrap(items.slice((page - 1) * pageSize, page * pageSize)), headers);
+};
+
+/**
+ * Starts a local server answering the GitHub API calls of the check and removal steps and of the
+ * notifiers from a fixture. Issues opened through the server are kept in its issues list.
+ * Besides the organization data, a fixture can list user emails and script failures:
+ * - verified_emails: emails on the organization's verified domains by login, answered through GraphQL
+ * - public_emails: public profile emails by login
+ * - page_size: seats and teams per page, to exercise pagination
+ * - missing_seats: logins whose seat lookup answers 404, as if the seat was released after the check
+ * - team_assigned_on_removal: logins whose seat removal answers 422, as if a team assigned the seat after the check
+ * - protected_teams: team slugs whose membership changes answer 403, as if the token could not manage the team
+ * - rate_limited_paths: paths answered once with a 429 rate limit response before succeeding
+ * - other_orgs: further organization fixtures served alongside, with their own seats, teams, billing and
+ *   scripted seat failures; team ids must be unique across organizations
+ * @param {Object} fixture - Organization fixture, see test/fixtures
+ * @returns {Promise<{url: string, requests: Array<Object>, issues: Array<Object>, setFixture: Function, close: Function}>}
+ *   Base URL, received requests, opened issues, a function serving another fixture and a close function
+ */
+const startMockGitHubServer = (fixture) => new Promise(resolve => {
+  const requests = [];
+  const issues = [];
+  let rateLimited;
+  let pageSize;
+  let orgs;
+  let baseUrl;
+
+  // Serves a fixture from scratch, so its scripted failures apply again and no issues are open
+  const setFixture = (next) => {
+    fixture = next;
+    rateLimited = new Set(fixture.rate_limited_paths || []);
+    pageSize = fixture.page_size || 100;
+    orgs = new Map([fixture, ...(fixture.other_orgs || [])].map(orgFixture => [orgFixture.org, orgFixture]));
+    issues.length = 0;
+  };
+  setFixture(fixture);
+
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      const body = rawBody ? JSON.parse(rawBody) : null;
+      const route = `${req.method} ${url.pathname}`;
+      const received = { method: req.method, path: url.pathname, query: url.search, body };
+      requests.push(received);
+      res.on('finish', () => { received.status = res.statusCode; });
+
+      // Answer the first request to a rate-limited path like GitHub's secondary rate limit
+      if (rateLimited.has(url.pathname)) {
+        rateLimited.delete(url.pathname);
+        return sendJson(res, 429, { message: 'You have exceeded a secondary rate limit.' }, { 'retry-after': '0' });
+      }
+
+      // Organization routes are answered from the fixture of the organization in the path
+      const orgMatch = url.pathname.match(/^\/orgs\/([^/]+)/);
+      const org = (orgMatch && orgs.get(orgMatch[1])) || fixture;
+      const orgPath = `/orgs/${org.org}`;
+
+      let match;
+      if (route === `GET ${orgPath}/copilot/billing`) {
+        return sendJson(res, 200, org.billing);
+      }
+      if (route === `GET ${orgPath}/copilot/billing/seats`) {
+        return sendPage(res, url, baseUrl, org.seats, pageSize, seats => ({ total_seats: org.seats.length, seats }));
+      }
+      if (route === `GET ${orgPath}/teams`) {
+        return sendPage(res, url, baseUrl, org.teams, pageSize);
+      }
+      if ((match = route.match(/^GET \/teams\/(\d+)\/members$/))) {
+        const owner = Array.from(orgs.values()).find(candidate => candidate.team_members[match[1]]) || fixture;
+        const members = (owner.team_members[match[1]] || []).map(login => ({ login, type: 'User' }));
+        return sendPage(res, url, baseUrl, members, pageSize);
+      }
+      if ((match = route.match(new RegExp(`^GET ${orgPath}/members/([^/]+)/copilot$`)))) {
+        const seat = org.seats.find(candidate => candidate.assignee.login === match[1]);
+        if (!seat || (org.missing_seats || []).includes(match[1])) {
+          return sendJson(res, 404, { message: 'Not Found' });
+        }
+        return sendJson(res, 200, seat);
+      }
+      if (route === `DELETE ${orgPath}/copilot/billing/selected_users`) {
+        const teamAssigned = body.selected_usernames.find(login =>
+          (org.team_assigned_on_removal || []).includes(login) ||
+          org.seats.some(seat => seat.assignee.login === login && seat.assigning_team));
+        if (teamAssigned) {
+          return sendJson(res, 422, { message: `User ${teamAssigned} is assigned via team, remove them from the team instead.` });
+        }
+        return sendJson(res, 200, { seats_cancelled: body.selected_usernames.length });
+      }
+      if (route === `POST ${orgPath}/copilot/billing/selected_users`) {
+        return sendJson(res, 201, { seats_created: body.selected_usernames.length });
+      }
+      if ((match = route.match(new RegExp(`^PUT ${orgPath}/teams/([^/]+)/memberships/[^/]+$`)))) {
+        if ((org.protected_teams || []).includes(match[1])) {
+          return sendJson(res, 403, { message: 'You must be an organization owner or team maintainer to add a team membership.' });
+        }
+        return sendJson(res, 200, { role: body.role, state: 'active' });
+      }
+      if ((match = route.match(new RegExp(`^DELETE ${orgPath}/teams/([^/]+)/memberships/[^/]+$`)))) {
+        if ((org.protected_teams || []).includes(match[1])) {
+          return sendJson(res, 403, { message: 'You must be an organization owner or team maintainer to remove a team membership.' });
+        }
+        return sendJson(res, 204);
+      }
+      if (route === 'POST /graphql') {
+        const emails = (fixture.verified_emails || {})[body.variables.login] || [];
+        return sendJson(res, 200, { data: { user: { organizationVerifiedDomainEmails: emails } } });
+      }
+      if ((match = route.match(/^GET \/users\/([^/]+)$/))) {
+        return sendJson(res, 200, { login: match[1], email: (fixture.public_emails || {})[match[1]] || null });
+      }
+      if ((match = route.match(/^(GET|POST) \/repos\/([^/]+\/[^/]+)\/issues$/))) {
+        if (match[1] === 'POST') {
+          const issue = { number: issues.length + 1, repository: match[2], state: 'open', ...body, labels: (body.labels || []).map(name => ({ name })) };
+          issues.push(issue);
+          return sendJson(res, 201, issue);
+        }
+        const label = url.searchParams.get('labels');
+        const open = issues.filter(issue => issue.repository === match[2] && issue.state === 'open' &&
+          (!label || issue.labels.some(candidate => candidate.name === label)));
+        return sendPage(res, url, baseUrl, open, pageSize);
+      }
+      if ((match = route.match(/^PATCH \/repos\/([^/]+\/[^/]+)\/issues\/(\d+)$/))) {
+        const issue = issues.find(candidate => candidate.repository === match[1] && candidate.number === Number(match[2]));
+        if (!issue) {
+          return sendJson(res, 404, { message: 'Not Found' });
+        }
+        Object.assign(issue, body);
+        return sendJson(res, 200, issue);
+      }
+      return sendJson(res, 404, { message: `Not Found: ${route}` });
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve({
+      url: baseUrl,
+      requests,
+      issues,
+      setFixture,
+      close: () => new Promise(done => server.close(done)),
+    });
+  });
+});
+
+module.exports = {
+  startMockGitHubServer,
+};
@@ -0,0 +1,108 @@
+// Runs the multi-organization pipeline against a mock GitHub API serving two organizations
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockGitHubServer } = require('./mock-github-server');
+const acme = require('./fixtures/acme.json');
+
+const REFERENCE_DATE = '2025-03-28 00:00:00';
+
+// alice is inactive in acme but still uses her seat in beta; gina only holds a seat in beta
+const beta = {
+  org: 'beta',
+  billing: {
+    seat_breakdown: { total: 2, active_this_cycle: 1, inactive_this_cycle: 1, added_this_cycle: 0, pending_cancellation: 0, pending_invitation: 0 },
+    seat_management_setting: 'assign_selected',
+    plan_type: 'business'
+  },
+  seats: [
+    { assignee: { login: 'alice', type: 'User' }, assigning_team: null, created_at: '2024-01-01T00:00:00Z', last_activity_at: '2025-03-27T09:00:00Z', last_activity_editor: 'vscode/1.95.0/copilot/1.240.0', pending_cancellation_date: null },
+    { assignee: { login: 'gina', type: 'User' }, assigning_team: null, created_at: '2024-01-01T00:00:00Z', last_activity_at: null, last_activity_editor: null, pending_cancellation_date: null },
+  ],
+  teams: [],
+  team_members: {},
+};
+
+let server;
+let runMultiOrg;
+let originalDir;
+let tempDir;
+
+before(async () => {
+  server = await startMockGitHubServer({ ...structuredClone(acme), other_orgs: [structuredClone(beta)] });
+
+  // Point the API client at the mock server before it is loaded, and keep the workflow settings out
+  process.env.GITHUB_API_URL = server.url;
+  process.env.GITHUB_TOKEN = 'test-token';
+  ['GITHUB_OUTPUT', 'GITHUB_REPOSITORY', 'DRY_RUN', 'APPROVAL_MODE', 'REMOVAL_MANIFEST', 'CURRENT_DATE', 'CURRENT_USER', 'STATE_CACHE_FILE',
+    'ORG_NAMES', 'ENTERPRISE_SLUG', 'MAX_REMOVALS_PER_RUN', 'MAX_REMOVAL_PERCENT', 'MAX_CONSECUTIVE_FAILURES']
+    .forEach(name => delete process.env[name]);
+  runMultiOrg = require('../run-multi-org');
+
+  // Run in an empty directory so no config files apply
+  originalDir = process.cwd();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-multi-org-'));
+  process.chdir(tempDir);
+
+  // A warning state path set for a single organization, with acme's users warned a month before the run
+  process.env.WARNING_STATE_FILE = path.join(tempDir, 'state', 'warning-state.json');
+  const warning = { warned_at: '2025-02-26T00:00:00.000Z', last_activity_at: null };
+  fs.mkdirSync(path.join(tempDir, 'state', 'acme'), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, 'state', 'acme', 'warning-state.json'), JSON.stringify({
+    updated_at: warning.warned_at,
+    users: Object.fromEntries(['alice', 'bob', 'dave', 'erin'].map(login => [login, warning])),
+  }));
+
+  // One user waits for a freed seat
+  process.env.SEAT_QUEUE_FILE = path.join(tempDir, 'seat-queue.yml');
+  fs.writeFileSync(process.env.SEAT_QUEUE_FILE, 'source: file\nusers:\n  - login: lena\n    requested_at: 2025-03-01\n');
+});
+
+after(async () => {
+  await server.close();
+  delete process.env.WARNING_STATE_FILE;
+  delete process.env.SEAT_QUEUE_FILE;
+  process.chdir(originalDir);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const logins = (users) => users.map(user => user.login).sort();
+
+test('multi-org keeps seats of users active in another organization and runs every step per organization', async () => {
+  const since = server.requests.length;
+  const { orgRuns, users } = await runMultiOrg.run({ orgs: 'acme,beta', date: REFERENCE_DATE, dryRun: false, currentUser: 'kim' });
+  // erin's failed removal sets the exit code of the process, which would fail the test file
+  process.exitCode = 0;
+
+  const [acmeRun, betaRun] = orgRuns;
+  assert.deepEqual(orgRuns.map(orgRun => [orgRun.org, orgRun.error || null, orgRun.followUpErrors]), [['acme', null, []], ['beta', null, []]]);
+
+  // alice keeps her acme seat as the enterprise bills her once for her active beta seat
+  assert.deepEqual(logins(acmeRun.results.successful), ['bob']);
+  assert.equal(acmeRun.results.skipped.find(user => user.login === 'alice').reason, 'Active Copilot seat in beta');
+  assert.deepEqual(logins(betaRun.results.warned), ['gina']);
+  assert.deepEqual(users.find(user => user.login === 'alice').seats.map(seat => [seat.org, seat.outcome]),
+    [['acme', 'skipped'], ['beta', 'active']]);
+
+  // Each organization keeps its own warnings next to the configured path
+  const readState = (org) => JSON.parse(fs.readFileSync(path.join(tempDir, 'state', org, 'warning-state.json'), 'utf8'));
+  assert.deepEqual(Object.keys(readState('acme').users).sort(), ['dave', 'erin', 'frank']);
+  assert.deepEqual(Object.keys(readState('beta').users), ['gina']);
+  assert.ok(!fs.existsSync(process.env.WARNING_STATE_FILE));
+
+  // The seat freed in acme goes to the waiting user; beta freed none
+  const grants = server.requests.slice(since).filter(request => request.method === 'POST' && request.path.endsWith('/selected_users'));
+  assert.deepEqual(grants.map(request => [request.path, request.body]),
+    [['/orgs/acme/copilot/billing/selected_users', { selected_usernames: ['lena'] }]]);
+
+  // Trends are rendered from the ledgers of each organization
+  ['acme', 'beta'].forEach(org => assert.ok(fs.existsSync(path.join(tempDir, 'clean-logs', org, 'trends.csv'))));
+  assert.match(fs.readFileSync(path.join(tempDir, 'clean-logs', 'acme', 'trends.csv'), 'utf8'),
+    /^2025-03-28T00:00:00\.000Z,removal,production,/m);
+
+  const report = fs.readFileSync(path.join(tempDir, 'clean-logs', '2025-03-28_00_00_00_UTC_enterprise.md'), 'utf8');
+  assert.match(report, /^- Seats Kept for Users Active in Another Organization: 1$/m);
+  assert.match(report, /^\| alice \| acme: skipped, beta: active \|$/m);
+});
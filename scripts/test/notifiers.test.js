@@ -0,0 +1,224 @@
+// Sends the run notifications through every channel to local stubs: an SMTP server, a webhook and the mock GitHub API
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { startMockGitHubServer } = require('./mock-github-server');
+const fixture = require('./fixtures/acme.json');
+
+const REPOSITORY = 'acme/seat-cleaner';
+
+let githubServer;
+let smtpServer;
+let webhookServer;
+let notifiers;
+let tempDir;
+// Messages received by the SMTP stub and payloads posted to the webhook stub
+const emails = [];
+const webhookPosts = [];
+let webhookStatus = 200;
+
+/**
+ * Starts a minimal SMTP server that accepts every message and records its envelope and content
+ * @returns {Promise<Object>} Listening net server
+ */
+const startSmtpStub = () => new Promise(resolve => {
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+    let inData = false;
+    socket.write('220 localhost SMTP stub\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        message.data = buffer.slice(0, end);
+        emails.push(message);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 Message accepted\r\n');
+      }
+      let lineEnd;
+      while (!inData && (lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        } else if (command === 'MAIL') {
+          message = { from: line.match(/<(.*)>/)[1], to: [] };
+          socket.write('250 OK\r\n');
+        } else if (command === 'RCPT') {
+          message.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+/**
+ * Reads a header and the decoded body of a raw email
+ * @param {string} data - Message as sent after DATA
+ * @returns {{subject: string, to: string, text: string}} Parsed message
+ */
+const parseEmail = (data) => {
+  const [head, ...body] = data.split('\r\n\r\n');
+  const header = (name) => (head.match(new RegExp(`^${name}: (.*)$`, 'mi')) || [])[1];
+  // Undo quoted-printable soft line breaks and escapes, in case the body was encoded
+  const text = body.join('\r\n\r\n')
+    .replace(/=\r\n/g, '')
+    .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return { subject: header('Subject'), to: header('To'), text };
+};
+
+before(async () => {
+  githubServer = await startMockGitHubServer(fixture);
+  smtpServer = await startSmtpStub();
+  webhookServer = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+      webhookPosts.push(JSON.parse(rawBody));
+      res.writeHead(webhookStatus, { 'content-type': 'text/plain' });
+      res.end(webhookStatus === 200 ? 'ok' : 'invalid_token');
+    });
+  });
+  await new Promise(resolve => webhookServer.listen(0, '127.0.0.1', resolve));
+
+  // Enable every channel with the shipped templates
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'copilot-seats-cleaner-notifiers-'));
+  const config = yaml.load(fs.readFileSync(path.join(__dirname, '../../config/notifications.yml'), 'utf8'));
+  const configFile = path.join(tempDir, 'notifications.yml');
+  fs.writeFileSync(configFile, yaml.dump({ ...config, channels: ['github-issue', 'email', 'webhook'] }));
+
+  Object.assign(process.env, {
+    GITHUB_API_URL: githubServer.url,
+    GITHUB_TOKEN: 'test-token',
+    GITHUB_REPOSITORY: REPOSITORY,
+    NOTIFICATIONS_FILE: configFile,
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtpServer.address().port),
+    SMTP_FROM: 'copilot-cleaner@acme.example',
+    NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${webhookServer.address().port}/hooks/seats`,
+  });
+  ['SMTP_SECURE', 'SMTP_USER', 'SMTP_PASSWORD'].forEach(name => delete process.env[name]);
+  notifiers = require('../lib/notifiers');
+});
+
+after(async () => {
+  await githubServer.close();
+  await new Promise(done => smtpServer.close(done));
+  await new Promise(done => webhookServer.close(done));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  emails.length = 0;
+  webhookPosts.length = 0;
+  webhookStatus = 200;
+});
+
+/**
+ * Builds the run summary a removal run passes to the notifiers
+ * @param {Object} [overrides] - Fields to change
+ * @returns {Object} Run summary
+ */
+const buildRun = (overrides = {}) => ({
+  org: fixture.org,
+  date: new Date('2025-03-28T00:00:00Z'),
+  isDryRun: false,
+  warned: [{ login: 'alice', days_inactive: 147, last_used: '2024-11-01', removal_after: '2025-04-11T00:00:00.000Z' }],
+  removed: [
+    { login: 'bob', days_inactive: 452, last_used: 'Never' },
+    { login: 'carol', days_inactive: 90, last_used: '2024-12-28' },
+  ],
+  reportPath: 'clean-logs/2025-03-28_00_00_00_UTC.md',
+  graceDays: 14,
+  ...overrides,
+});
+
+test('email notifies each user with a known address over SMTP', async () => {
+  const outcomes = await notifiers.sendNotifications(buildRun());
+
+  assert.equal(outcomes.email, 'sent');
+  // alice through her verified domain email, bob through his public email, carol has none
+  assert.deepEqual(emails.map(email => email.to), [['alice@acme.example'], ['bob@users.example']]);
+  assert.ok(emails.every(email => email.from === 'copilot-cleaner@acme.example'));
+
+  const [warning, removal] = emails.map(email => parseEmail(email.data));
+  assert.equal(warning.to, 'alice@acme.example');
+  assert.equal(warning.subject, 'Your GitHub Copilot seat in acme will be removed soon');
+  assert.match(warning.text, /Hi alice,/);
+  assert.match(warning.text, /for 147 days\s+\(last used: 2024-11-01\)/);
+  assert.match(warning.text, /removed after 2025-04-11 unless/);
+  assert.equal(removal.subject, 'Your GitHub Copilot seat in acme has been removed');
+  assert.match(removal.text, /Hi bob,/);
+});
+
+test('webhook posts the run summary and a rejected post fails only its channel', async () => {
+  let outcomes = await notifiers.sendNotifications(buildRun());
+
+  assert.equal(outcomes.webhook, 'sent');
+  assert.equal(webhookPosts.length, 1);
+  assert.deepEqual(Object.keys(webhookPosts[0]), ['text']);
+  assert.match(webhookPosts[0].text, /^\*Copilot seat cleanup for acme\* \(PRODUCTION, 2025-03-28\)$/m);
+  assert.match(webhookPosts[0].text, /^Warned: 1 users$/m);
+  assert.match(webhookPosts[0].text, /^Removed: 2 users$/m);
+  assert.match(webhookPosts[0].text, /^- @bob \(452 days inactive\)$/m);
+
+  webhookStatus = 403;
+  outcomes = await notifiers.sendNotifications(buildRun());
+
+  // Posts are not retried, and the other channels still notify
+  assert.equal(webhookPosts.length, 2);
+  assert.deepEqual(outcomes, { 'github-issue': 'sent', email: 'sent', webhook: 'failed' });
+});
+
+test('github-issue opens one issue per run and updates it on reruns', async () => {
+  githubServer.issues.length = 0;
+  await notifiers.sendNotifications(buildRun());
+
+  assert.equal(githubServer.issues.length, 1);
+  const [issue] = githubServer.issues;
+  assert.equal(issue.repository, REPOSITORY);
+  assert.equal(issue.title, 'Copilot seat cleanup for acme - 2025-03-28');
+  assert.deepEqual(issue.labels, [{ name: 'copilot-seat-cleaner' }]);
+  assert.match(issue.body, /^## Copilot seat cleanup \(PRODUCTION\)$/m);
+  assert.match(issue.body, /^- @alice \(147 days inactive, removal after 2025-04-11\)$/m);
+  assert.match(issue.body, /^- @carol \(90 days inactive\)$/m);
+  assert.match(issue.body, /^cc @alice @bob @carol$/m);
+
+  // A rerun of the same day updates the issue instead of opening another one
+  await notifiers.sendNotifications(buildRun({ removed: [] }));
+
+  assert.equal(githubServer.issues.length, 1);
+  assert.doesNotMatch(githubServer.issues[0].body, /@carol/);
+});
+
+test('dry runs only log the notifications', async () => {
+  githubServer.issues.length = 0;
+  const since = githubServer.requests.length;
+
+  const outcomes = await notifiers.sendNotifications(buildRun({ isDryRun: true }));
+
+  assert.deepEqual(outcomes, { 'github-issue': 'skipped', email: 'skipped', webhook: 'skipped' });
+  assert.deepEqual(emails, []);
+  assert.deepEqual(webhookPosts, []);
+  assert.deepEqual(githubServer.issues, []);
+  // Looking up email addresses is the only GitHub API traffic
+  assert.deepEqual(githubServer.requests.slice(since).filter(request => !['/graphql', '/users/bob', '/users/carol'].includes(request.path)), []);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatCsv,
+  escapeMarkdown,
+  formatMarkdownTable,
+  escapeHtml,
+  formatMarkdownReport,
+  formatHtmlReport,
+  setMarkdownSection,
+  setHtmlSection
+} = require('../lib/reports');
+
+test('formatCsv quotes fields with delimiters, quotes and line breaks', () => {
+  assert.equal(
+    formatCsv(['Team', 'Error'], [['Eng, Platform', 'Said "no"\nthen failed'], ['Ops', null]]),
+    'Team,Error\r\n"Eng, Platform","Said ""no""\nthen failed"\r\nOps,\r\n'
+  );
+});
+
+test('escapeMarkdown keeps user-controlled values inside their table cell', () => {
+  assert.equal(escapeMarkdown('a|b\\c\nd <b>'), 'a\\|b\\\\c d &lt;b>');
+  // Entities already in a value are shown as written, not as the character they stand for
+  assert.equal(escapeMarkdown('R&D &lt;eng&gt; &amp;'), 'R&amp;D &amp;lt;eng&amp;gt; &amp;amp;');
+  assert.equal(escapeMarkdown(undefined), '');
+  assert.equal(
+    formatMarkdownTable(['Team', 'Seats'], [['Eng | Ops', 3]]),
+    '| Team | Seats |\n|------|-------|\n| Eng \\| Ops | 3 |'
+  );
+});
+
+test('formatHtmlReport escapes values and appended sections keep the page intact', () => {
+  assert.equal(escapeHtml('<a href="x">\'&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+
+  const html = setHtmlSection(formatHtmlReport({
+    title: 'Report',
+    sections: [{ title: 'Users', items: ['Mode: <dry>'], columns: ['User Login'], rows: [['<script>']] }],
+  }), { title: 'Later', columns: ['Login'], rows: [['$&']] });
+
+  assert.match(html, /<li>Mode: &lt;dry&gt;<\/li>/);
+  assert.match(html, /<td>&lt;script&gt;<\/td>/);
+  assert.ok(html.indexOf('<h2>Later</h2>') > html.indexOf('<h2>Users</h2>'));
+  assert.ok(html.indexOf('<h2>Later</h2>') < html.indexOf('<script>'));
+  assert.match(html, /<td>\$&amp;<\/td>/);
+});
+
+test('setMarkdownSection and setHtmlSection replace an earlier section with the same title', () => {
+  const report = { title: 'Report', sections: [{ title: 'Users', items: ['Removed: 2'] }] };
+  const dryRun = { title: 'Seat Reassignments', items: ['Mode: DRY RUN'] };
+  const production = { title: 'Seat Reassignments', items: ['Mode: PRODUCTION'] };
+  const reconciliation = { title: 'Seat Reconciliation', items: ['Discrepancies: 0'] };
+
+  let markdown = setMarkdownSection(formatMarkdownReport(report), dryRun);
+  markdown = setMarkdownSection(markdown, reconciliation);
+  markdown = setMarkdownSection(markdown, production);
+  assert.equal(markdown, `# Report
+
+## Users
+- Removed: 2
+
+## Seat Reassignments
+- Mode: PRODUCTION
+
+## Seat Reconciliation
+- Discrepancies: 0
+`);
+  assert.equal(setMarkdownSection(markdown, reconciliation), markdown);
+
+  let html = setHtmlSection(formatHtmlReport(report), dryRun);
+  html = setHtmlSection(html, reconciliation);
+  html = setHtmlSection(html, production);
+  assert.equal(html.match(/<h2>Seat Reassignments<\/h2>/g).length, 1);
+  assert.ok(!html.includes('Mode: DRY RUN'));
+  assert.ok(html.indexOf('Mode: PRODUCTION') < html.indexOf('<h2>Seat Reconciliation</h2>'));
+  assert.ok(html.indexOf('<h2>Seat Reconciliation</h2>') < html.indexOf('<script>'));
+});
@@ -0,0 +1,70 @@
+// Checks the guardrails limiting how much a single removal run can revoke
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSafetyLimits, describeSafetyLimits, findRemovalCapExceeded, findSeatChange } = require('../lib/safety');
+
+const limits = { maxRemovals: 50, maxRemovalPercent: 20, maxConsecutiveFailures: 3 };
+
+test('loadSafetyLimits reads the limits from the environment', () => {
+  const names = ['MAX_REMOVALS_PER_RUN', 'MAX_REMOVAL_PERCENT', 'MAX_CONSECUTIVE_FAILURES'];
+  const previous = names.map(name => process.env[name]);
+  try {
+    names.forEach(name => delete process.env[name]);
+    assert.deepEqual(loadSafetyLimits(), limits);
+
+    process.env.MAX_REMOVALS_PER_RUN = '0';
+    process.env.MAX_REMOVAL_PERCENT = '12.5';
+    process.env.MAX_CONSECUTIVE_FAILURES = '1';
+    assert.deepEqual(loadSafetyLimits(), { maxRemovals: 0, maxRemovalPercent: 12.5, maxConsecutiveFailures: 1 });
+  } finally {
+    names.forEach((name, index) => {
+      if (previous[index] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previous[index];
+      }
+    });
+  }
+});
+
+test('describeSafetyLimits names the enabled limits', () => {
+  assert.equal(describeSafetyLimits(limits), 'at most 50 removals or 20% of seats per run, stop after 3 consecutive API failures');
+  assert.equal(describeSafetyLimits({ maxRemovals: 0, maxRemovalPercent: 0, maxConsecutiveFailures: 0 }), 'no removal cap, no circuit breaker');
+});
+
+test('findRemovalCapExceeded accepts runs within both caps', () => {
+  assert.equal(findRemovalCapExceeded(50, 250, limits), null);
+  assert.equal(findRemovalCapExceeded(0, null, limits), null);
+  assert.equal(findRemovalCapExceeded(500, null, { maxRemovals: 0, maxRemovalPercent: 0, maxConsecutiveFailures: 3 }), null);
+});
+
+test('findRemovalCapExceeded aborts runs above either cap', () => {
+  assert.equal(findRemovalCapExceeded(51, 1000, limits),
+    'Run aborted: 51 removals exceed the cap of 50 per run (MAX_REMOVALS_PER_RUN)');
+  assert.equal(findRemovalCapExceeded(9, 40, limits),
+    'Run aborted: 9 removals are 22.5% of 40 seats, above the cap of 20% (MAX_REMOVAL_PERCENT)');
+  assert.equal(findRemovalCapExceeded(8, 40, limits), null);
+});
+
+test('findRemovalCapExceeded aborts runs whose seat total is unknown while the percentage cap is enabled', () => {
+  const reason = 'Run aborted: the number of Copilot seats is unknown, so the cap of 20% (MAX_REMOVAL_PERCENT) cannot be checked';
+  assert.equal(findRemovalCapExceeded(1, null, limits), reason);
+  assert.equal(findRemovalCapExceeded(1, 0, limits), reason);
+  assert.equal(findRemovalCapExceeded(1, null, { ...limits, maxRemovalPercent: 0 }), null);
+});
+
+test('findSeatChange skips seats that changed since the usage check', () => {
+  const user = { login: 'alice', last_activity_at: '2024-11-01T10:00:00Z' };
+  assert.equal(findSeatChange(user, null), 'No Copilot seat anymore, nothing to remove');
+  assert.equal(findSeatChange(user, { last_activity_at: '2025-03-27T09:00:00Z' }),
+    'Active since the check: last Copilot activity on 2025-03-27T09:00:00Z');
+  assert.equal(findSeatChange({ login: 'bob', last_activity_at: null }, { last_activity_at: '2025-03-27T09:00:00Z' }),
+    'Active since the check: last Copilot activity on 2025-03-27T09:00:00Z');
+  assert.equal(findSeatChange(user, { last_activity_at: '2024-11-01T10:00:00Z', pending_cancellation_date: '2025-04-01' }),
+    'Seat already pending cancellation on 2025-04-01');
+});
+
+test('findSeatChange keeps seats that are unchanged since the usage check', () => {
+  assert.equal(findSeatChange({ login: 'alice', last_activity_at: '2024-11-01T10:00:00Z' }, { last_activity_at: '2024-11-01T10:00:00Z' }), null);
+  assert.equal(findSeatChange({ login: 'bob', last_activity_at: null }, { last_activity_at: null }), null);
+});
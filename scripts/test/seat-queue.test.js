@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { orderSeatQueue } = require('../lib/seat-queue');
+
+const queue = [
+  { login: 'a', requested_at: '2025-03-02T00:00:00Z', priority: 0 },
+  { login: 'b', requested_at: null, priority: 2 },
+  { login: 'c', requested_at: '2025-03-01T00:00:00Z', priority: 0 },
+  { login: 'd', requested_at: '2025-03-03T00:00:00Z', priority: 2 },
+];
+
+test('orderSeatQueue serves the earliest request first in fifo order', () => {
+  assert.deepEqual(orderSeatQueue(queue, 'fifo').map(entry => entry.login), ['c', 'a', 'd', 'b']);
+});
+
+test('orderSeatQueue serves the highest priority first in priority order', () => {
+  assert.deepEqual(orderSeatQueue(queue, 'priority').map(entry => entry.login), ['d', 'b', 'c', 'a']);
+});